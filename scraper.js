@@ -6,71 +6,464 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
 const cheerio = require("cheerio");
 const request = require("request-promise-native");
 const sqlite3 = require("sqlite3");
 const moment = require("moment");
 const didyoumean = require("didyoumean2");
 sqlite3.verbose();
-const DevelopmentApplicationsUrl = "https://yorke.sa.gov.au/development/development-information/development-register/?pagenum={0}&gv_search=&filter_1=&filter_3=&gv_start={1}&gv_end={2}&filter_7=&mode=all";
+const DefaultSiteUrl = "https://yorke.sa.gov.au";
+const DevelopmentApplicationsUrl = "{site}/development/development-information/development-register/?pagenum={0}&gv_search=&filter_1=&filter_3=&gv_start={1}&gv_end={2}&filter_7=&mode=all";
 const InformationUrl = "https://yorke.sa.gov.au/development/development-information/development-register/?gv_search=&filter_1={0}&filter_3=&gv_start=&gv_end=&filter_7=&mode=all";
 const CommentUrl = "mailto:admin@yorke.sa.gov.au";
+const AuthorityName = "Yorke Peninsula Council";
+const DefaultDatabasePath = "data.sqlite";
+// The first recorded development application is 16th April 1997.
+const FirstBackfillMonth = moment("1997-04-01", "YYYY-MM-DD", true);
+// The maximum number of requests made when backfilling older months in a single run (this can be
+// overridden using the MORPH_REQUEST_BUDGET environment variable or the "--budget" option).
+const DefaultRequestBudget = 300;
+// The maximum number of requests made to the council web site in a single run, including retries
+// (this can be overridden using the MORPH_REQUEST_LIMIT environment variable or the
+// "--request-limit" option).
+const DefaultRequestLimit = 2000;
+// The minimum number of milliseconds between consecutive requests to the council web site (this
+// can be overridden using the MORPH_REQUEST_DELAY environment variable or the "--request-delay"
+// option).
+const DefaultRequestDelay = 1000;
+// A request that fails with a transient error (such as a timeout, a dropped connection or an HTTP
+// 429 or 5xx status) is attempted again after a delay that doubles after each failed attempt (the
+// initial delay in milliseconds can be overridden using the MORPH_RETRY_DELAY environment variable
+// or the "--retry-delay" option).
+const MaximumAttemptCount = 5;
+const DefaultRetryDelay = 5000;
+const RequestTimeout = 60000;
+// The keys on a development application page (in upper case) that are stored in typed columns of
+// the [data] table.  Several keys are listed for some columns because the council has used
+// different wording over time.  Any other keys are stored in the [data_fields] table.
+const DetailColumns = [
+    { column: "decision", keys: ["DECISION", "DEVELOPMENT DECISION", "DECISION TYPE"], isDate: false },
+    { column: "decision_date", keys: ["DECISION DATE", "DATE OF DECISION", "DATE DECISION MADE"], isDate: true },
+    { column: "applicant", keys: ["APPLICANT", "APPLICANT NAME", "APPLICANT DETAILS"], isDate: false },
+    { column: "land_description", keys: ["LAND DESCRIPTION", "PROPERTY DESCRIPTION", "LEGAL DESCRIPTION", "TITLE DETAILS"], isDate: false },
+    { column: "hundred", keys: ["HUNDRED", "HUNDRED NAME"], isDate: false },
+    { column: "category", keys: ["CATEGORY", "DEVELOPMENT CATEGORY", "NOTIFICATION CATEGORY"], isDate: false },
+    { column: "on_notice_from", keys: ["ON NOTICE FROM", "NOTIFICATION FROM", "NOTIFICATION START DATE", "PUBLIC NOTIFICATION FROM"], isDate: true },
+    { column: "on_notice_to", keys: ["ON NOTICE TO", "NOTIFICATION TO", "NOTIFICATION END DATE", "NOTIFICATION CLOSING DATE", "PUBLIC NOTIFICATION TO"], isDate: true }
+];
+// The columns of the [data] table that store the components of the formatted address (see the
+// formatAddress function), keyed by column.
+const AddressColumns = {
+    address_original: "original",
+    address_street_number: "streetNumber",
+    address_street_name: "streetName",
+    address_suburb: "suburb",
+    address_state: "state",
+    address_postcode: "postcode",
+    address_hundred: "hundred",
+    address_section: "section",
+    address_allotment: "allotment",
+    address_match: "match",
+    address_match_distance: "matchDistance"
+};
+// The keys on a development application page that are already parsed separately.
+const DANumberKey = "DA NUMBER";
+const ReceivedDateKey = "DATE APPLICATION RECEIVED";
+const DescriptionKey = "DEVELOPMENT DETAILS";
+// The maximum number of pages of search results parsed for a single search in one run (a safety
+// precaution).
+const MaximumPageCount = 100;
+// The expected format of an application number (for example, "545/001/18" or "545/D012/2018").
+const ApplicationNumberPattern = /^[0-9]+\/[A-Z]?[0-9]+\/([0-9]{2}|[0-9]{4})$/i;
 // Address information.
 let SuburbNames = undefined;
 let HundredNames = undefined;
-// Sets up an sqlite database.
-async function initializeDatabase() {
-    return new Promise((resolve, reject) => {
-        let database = new sqlite3.Database("data.sqlite");
-        database.serialize(() => {
-            database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [on_notice_from] text, [on_notice_to] text)");
-            resolve(database);
+let SuburbCentroids = undefined;
+// Recording and replaying of pages (see the "--record" option and "replay" command).
+let RecordDirectory = undefined;
+let ReplayDirectory = undefined;
+let RecordedPages = undefined;
+const RecordedPagesFileName = "pages.json";
+// The number of requests made to the council web site during this run.
+let RequestCount = 0;
+let RequestBudget = DefaultRequestBudget;
+let RequestLimit = DefaultRequestLimit;
+let RequestDelay = DefaultRequestDelay;
+let RetryDelay = DefaultRetryDelay;
+let LastRequestTime = 0;
+// The council web site (this can be overridden, for example, to test against a local HTTP server
+// using the MORPH_SITE_URL environment variable or the "--site-url" option).
+let SiteUrl = DefaultSiteUrl;
+// The command to run, its argument (such as a directory or an application number) and the other
+// command line options (see the parseCommandLine function).
+let Command = "scrape";
+let CommandArgument = undefined;
+let DateFrom = undefined;
+let DateTo = undefined;
+let DatabasePath = DefaultDatabasePath;
+let IsDryRun = false;
+let StorageType = "sqlite";
+let OutputPath = undefined;
+// A summary of the current run, including any problems found when validating the development
+// applications and any indications that the layout of the council web site has changed (see the
+// reportIssue function).
+let RunSummary = undefined;
+// The schema migrations for the database, applied in order.  The number of migrations already
+// applied is stored in the "user_version" of the database.  Each migration can also be applied
+// safely to a database created by an earlier version of the scraper (before migrations were
+// recorded), so tables are only created and columns only added if they do not already exist.
+const Migrations = [
+    async (database) => await runSql(database, "create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [on_notice_from] text, [on_notice_to] text)"),
+    async (database) => await runSql(database, "create table if not exists [crawl_ledger] ([month] text primary key, [date_from] text, [date_to] text, [status] text, [last_page_number] integer, [application_count] integer, [date_started] text, [date_completed] text)"),
+    async (database) => {
+        await runSql(database, "create table if not exists [data_fields] ([council_reference] text, [key] text, [value] text, [date_scraped] text, primary key ([council_reference], [key]))");
+        await addMissingColumns(database, "data", DetailColumns.map(detailColumn => detailColumn.column));
+    },
+    async (database) => {
+        await runSql(database, "create table if not exists [data_history] ([council_reference] text, [field] text, [old_value] text, [new_value] text, [date_scraped] text)");
+        await runSql(database, "create index if not exists [data_history_date_scraped] on [data_history] ([date_scraped])");
+    },
+    async (database) => await addMissingColumns(database, "data", Object.keys(AddressColumns)),
+    async (database) => await runSql(database, "create table if not exists [page_cache] ([url] text primary key, [council_reference] text, [etag] text, [last_modified] text, [body] text, [date_retrieved] text)"),
+    async (database) => {
+        await runSql(database, "create table if not exists [run_summary] ([run_id] integer primary key autoincrement, [command] text, [date_started] text, [date_completed] text, [page_count] integer, [application_count] integer, [saved_count] integer, [invalid_count] integer, [layout_issue_count] integer, [request_count] integer, [is_layout_changed] integer)");
+        await runSql(database, "create table if not exists [run_issues] ([run_id] integer, [category] text, [council_reference] text, [url] text, [message] text)");
+    }
+];
+// Sets up an sqlite database (applying any schema migrations that have not yet been applied).
+// For a dry run a temporary copy of the database is used instead (so that the database itself is
+// never modified).
+async function initializeDatabase(databasePath) {
+    if (IsDryRun) {
+        let dryRunDatabasePath = path.join(os.tmpdir(), `dry-run-${process.pid}-${path.basename(databasePath)}`);
+        if (fs.existsSync(databasePath))
+            fs.copyFileSync(databasePath, dryRunDatabasePath);
+        console.log(`Dry run: changes will not be saved to "${databasePath}".`);
+        databasePath = dryRunDatabasePath;
+    }
+    let database = new sqlite3.Database(databasePath);
+    let version = (await getSql(database, "pragma user_version")).user_version;
+    for (; version < Migrations.length; version++) {
+        await runSql(database, "begin transaction");
+        await Migrations[version](database);
+        await runSql(database, `pragma user_version = ${version + 1}`);
+        await runSql(database, "commit");
+    }
+    return database;
+}
+// Closes the database (and deletes the temporary copy of the database used for a dry run).
+async function closeDatabase(database) {
+    await new Promise((resolve, reject) => {
+        database.close(function (error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else
+                resolve();
         });
     });
+    if (IsDryRun && fs.existsSync(database.filename))
+        fs.unlinkSync(database.filename);
 }
-// Inserts a row in the database if the row does not already exist.
-async function insertRow(database, developmentApplication) {
+// Runs an SQL statement against the database (returning the statement, which provides the
+// "lastID" and "changes" of the statement).
+async function runSql(database, sql, parameters = []) {
     return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?, ?, ?)");
-        sqlStatement.run([
-            developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
-            developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
-            developmentApplication.scrapeDate,
-            developmentApplication.receivedDate,
-            null,
-            null
-        ], function (error, row) {
+        database.run(sql, parameters, function (error) {
             if (error) {
                 console.error(error);
                 reject(error);
             }
-            else {
-                sqlStatement.finalize(); // releases any locks
-                console.log(`    Saved: application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\" and received date \"${developmentApplication.receivedDate}\" into the database.`);
-                resolve(true); // indicate row was inserted
-            }
+            else
+                resolve(this);
         });
     });
 }
-// Updates the inforation URL in a row in the database.
-async function updateRow(database, developmentApplication) {
+// Gets the first row returned by an SQL query (returning undefined if there are no rows).
+async function getSql(database, sql, parameters = []) {
     return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("update [data] set [info_url] = ? where [info_url] like 'https://yorke.sa.gov.au/development/development-information/development-register/entry/%' and [council_reference] = ?");
-        sqlStatement.run([developmentApplication.informationUrl, developmentApplication.applicationNumber], function (error, row) {
+        database.get(sql, parameters, function (error, row) {
             if (error) {
                 console.error(error);
                 reject(error);
             }
-            else {
-                sqlStatement.finalize(); // releases any locks
+            else
                 resolve(row);
+        });
+    });
+}
+// Gets all of the rows returned by an SQL query.
+async function allSql(database, sql, parameters = []) {
+    return new Promise((resolve, reject) => {
+        database.all(sql, parameters, function (error, rows) {
+            if (error) {
+                console.error(error);
+                reject(error);
             }
+            else
+                resolve(rows);
         });
     });
 }
+// Adds the specified columns to a table if they are not already present (for example, when the
+// data.sqlite file was created by an earlier version of the scraper).
+async function addMissingColumns(database, tableName, columns) {
+    let columnNames = (await allSql(database, `pragma table_info([${tableName}])`)).map(row => row.name);
+    for (let column of columns)
+        if (columnNames.indexOf(column) < 0)
+            await runSql(database, `alter table [${tableName}] add column [${column}] ${(column === "address_match_distance") ? "integer" : "text"}`);
+}
+// Converts a development application to a row of the [data] table (keyed by column name).
+function toRow(developmentApplication) {
+    let row = {
+        council_reference: developmentApplication.applicationNumber,
+        address: developmentApplication.address,
+        description: developmentApplication.description,
+        info_url: developmentApplication.informationUrl,
+        comment_url: developmentApplication.commentUrl,
+        date_scraped: developmentApplication.scrapeDate,
+        date_received: developmentApplication.receivedDate
+    };
+    for (let detailColumn of DetailColumns)
+        row[detailColumn.column] = developmentApplication.details[detailColumn.column];
+    for (let column of Object.keys(AddressColumns))
+        row[column] = developmentApplication.formattedAddress[AddressColumns[column]];
+    return row;
+}
+// Logs that a development application has been saved.
+function logSaved(developmentApplication, destination) {
+    console.log(`    ${IsDryRun ? "Would save" : "Saved"}: application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\" and received date \"${developmentApplication.receivedDate}\" into ${destination}.`);
+}
+// Stores development applications in the [data] and [data_fields] tables of the sqlite database
+// (recording any changes in the [data_history] table).  Each batch is saved in a transaction, and
+// prepared statements are reused for the whole run.
+class SqliteStorage {
+    constructor(database) {
+        this.statements = {};
+        this.database = database;
+    }
+    // Runs a prepared statement (preparing the statement the first time it is used).
+    async run(sql, parameters) {
+        if (this.statements[sql] === undefined)
+            this.statements[sql] = this.database.prepare(sql);
+        let sqlStatement = this.statements[sql];
+        return new Promise((resolve, reject) => {
+            sqlStatement.run(parameters, function (error) {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                }
+                else
+                    resolve(this);
+            });
+        });
+    }
+    async getApplication(applicationNumber) {
+        return await getSql(this.database, "select * from [data] where [council_reference] = ?", [applicationNumber]);
+    }
+    async saveApplication(developmentApplication) {
+        let row = toRow(developmentApplication);
+        await this.recordChanges(await this.getApplication(developmentApplication.applicationNumber), row);
+        let columns = Object.keys(row);
+        await this.run(`insert or replace into [data] (${columns.map(column => `[${column}]`).join(", ")}) values (${columns.map(column => "?").join(", ")})`, columns.map(column => row[column]));
+        // Replace the fields that are not stored in the [data] table (so that any keys added to
+        // the council web site are kept rather than dropped).
+        await this.run("delete from [data_fields] where [council_reference] = ?", [row.council_reference]);
+        for (let key of Object.keys(developmentApplication.otherFields))
+            await this.run("insert or replace into [data_fields] values (?, ?, ?, ?)", [row.council_reference, key, developmentApplication.otherFields[key], row.date_scraped]);
+        logSaved(developmentApplication, "the database");
+    }
+    // Records a row in the [data_history] table for each field of a development application that
+    // has changed since the development application was last scraped (the previous value would
+    // otherwise be lost when the row in the [data] table is replaced).
+    async recordChanges(previousRow, row) {
+        if (previousRow === undefined)
+            return;
+        let fields = ["address", "description", "date_received"].concat(DetailColumns.map(detailColumn => detailColumn.column));
+        for (let field of fields) {
+            let oldValue = (previousRow[field] === undefined || previousRow[field] === null) ? "" : previousRow[field];
+            let newValue = (row[field] === undefined || row[field] === null) ? "" : row[field];
+            if (oldValue === newValue)
+                continue;
+            await this.run("insert into [data_history] values (?, ?, ?, ?, ?)", [row.council_reference, field, oldValue, newValue, row.date_scraped]);
+            console.log(`    ${IsDryRun ? "Would change" : "Changed"}: application \"${row.council_reference}\" ${field} from \"${oldValue}\" to \"${newValue}\".`);
+        }
+    }
+    async beginBatch() {
+        await runSql(this.database, "begin transaction");
+    }
+    async endBatch() {
+        await runSql(this.database, "commit");
+    }
+    async close() {
+        for (let sql of Object.keys(this.statements))
+            this.statements[sql].finalize(); // releases any locks
+        this.statements = {};
+    }
+}
+// Stores development applications in a file (either as newline-delimited JSON or as SQL that can
+// be loaded into PostgreSQL), so that the development applications can be loaded into another
+// database without reading the sqlite database.  The file is appended to on each run (so later
+// lines supersede earlier lines for the same development application).  Each batch is written
+// to the file in one go (and, for SQL, in a transaction).
+class FileStorage {
+    constructor(fileName, format) {
+        this.lines = [];
+        this.applications = {};
+        this.hasWrittenTables = false;
+        this.fileName = fileName;
+        this.format = format;
+    }
+    // Gets the SQL that creates the tables (if they do not already exist) and adds any columns
+    // that are missing (so that an SQL file appended to by an earlier version of the scraper can
+    // still be loaded after columns are added).
+    static getCreateTablesSql() {
+        let columns = Object.keys(toRow({ details: {}, formattedAddress: {} })).filter(column => column !== "council_reference");
+        return ["create table if not exists data (council_reference text primary key);"].concat(columns.map(column => `alter table data add column if not exists ${column} ${(column === "address_match_distance") ? "integer" : "text"};`), ["create table if not exists data_fields (council_reference text, key text, value text, date_scraped text, primary key (council_reference, key));"]);
+    }
+    // Formats a value as a PostgreSQL literal.
+    static formatSqlValue(value) {
+        if (value === undefined || value === null)
+            return "null";
+        if (typeof value === "number")
+            return value.toString();
+        return `'${value.toString().replace(/'/g, "''")}'`;
+    }
+    async getApplication(applicationNumber) {
+        return this.applications[applicationNumber]; // only development applications saved in this run are known
+    }
+    async saveApplication(developmentApplication) {
+        let row = toRow(developmentApplication);
+        this.applications[row.council_reference] = row;
+        if (this.format === "ndjson")
+            this.lines.push(JSON.stringify(Object.assign({}, row, { fields: developmentApplication.otherFields })));
+        else {
+            let columns = Object.keys(row);
+            let councilReference = FileStorage.formatSqlValue(row.council_reference);
+            this.lines.push(`insert into data (${columns.join(", ")}) values (${columns.map(column => FileStorage.formatSqlValue(row[column])).join(", ")}) on conflict (council_reference) do update set ${columns.filter(column => column !== "council_reference").map(column => `${column} = excluded.${column}`).join(", ")};`);
+            this.lines.push(`delete from data_fields where council_reference = ${councilReference};`);
+            for (let key of Object.keys(developmentApplication.otherFields))
+                this.lines.push(`insert into data_fields (council_reference, key, value, date_scraped) values (${councilReference}, ${FileStorage.formatSqlValue(key)}, ${FileStorage.formatSqlValue(developmentApplication.otherFields[key])}, ${FileStorage.formatSqlValue(row.date_scraped)});`);
+        }
+        logSaved(developmentApplication, `"${this.fileName}"`);
+    }
+    async beginBatch() {
+        this.lines = [];
+    }
+    async endBatch() {
+        if (this.lines.length > 0 && !IsDryRun) {
+            let lines = (this.format === "sql") ? ["begin;"].concat(this.lines, ["commit;"]) : this.lines;
+            // Create the tables the first time that development applications are written in this
+            // run (rather than whenever the storage is created, which also happens for commands
+            // that do not save any development applications).
+            if (this.format === "sql" && !this.hasWrittenTables) {
+                lines = FileStorage.getCreateTablesSql().concat(lines);
+                this.hasWrittenTables = true;
+            }
+            fs.appendFileSync(this.fileName, lines.join("\n") + "\n");
+        }
+        this.lines = [];
+    }
+    async close() {
+    }
+}
+// Creates the storage for development applications (see the "--storage" and "--output" command
+// line options).
+function createStorage(database) {
+    if (StorageType === "sqlite")
+        return new SqliteStorage(database);
+    return new FileStorage((OutputPath === undefined) ? `data.${StorageType}` : OutputPath, StorageType);
+}
+// Gets the changes recorded in the [data_history] table for development applications scraped in
+// the specified date range (inclusive).
+async function getChanges(database, dateFrom, dateTo) {
+    return await allSql(database, "select * from [data_history] where [date_scraped] >= ? and [date_scraped] <= ? order by [council_reference], [date_scraped], [rowid]", [dateFrom.format("YYYY-MM-DD"), dateTo.format("YYYY-MM-DD")]);
+}
+// Gets the development applications with addresses where the suburb name was only matched by
+// allowing for a spelling error or was not recognised at all.
+async function getUnresolvedAddresses(database) {
+    return await allSql(database, "select [council_reference], [address], [address_original], [address_hundred], [address_match], [address_match_distance] from [data] where [address_match] in ('fuzzy', 'unresolved') order by [address_match] desc, [address_original]");
+}
+// Gets the development applications received in the specified date range (inclusive), or all
+// development applications if no date range is specified.
+async function getRows(database, dateFrom, dateTo) {
+    let dateFromText = (dateFrom === undefined) ? null : dateFrom.format("YYYY-MM-DD");
+    let dateToText = (dateTo === undefined) ? null : dateTo.format("YYYY-MM-DD");
+    return await allSql(database, "select * from [data] where (? is null or [date_received] >= ?) and (? is null or [date_received] <= ?) order by [date_received], [council_reference]", [dateFromText, dateFromText, dateToText, dateToText]);
+}
+// Gets all months recorded in the crawl ledger (keyed by month, for example, "1997-04").
+async function getCrawlLedger(database) {
+    let crawlLedger = {};
+    for (let row of await allSql(database, "select * from [crawl_ledger]"))
+        crawlLedger[row.month] = row;
+    return crawlLedger;
+}
+// Inserts or updates a month in the crawl ledger.
+async function updateCrawlLedger(database, crawledMonth) {
+    await runSql(database, "insert or replace into [crawl_ledger] values (?, ?, ?, ?, ?, ?, ?, ?)", [
+        crawledMonth.month,
+        crawledMonth.date_from,
+        crawledMonth.date_to,
+        crawledMonth.status,
+        crawledMonth.last_page_number,
+        crawledMonth.application_count,
+        crawledMonth.date_started,
+        crawledMonth.date_completed
+    ]);
+}
+// Gets the cached copy of a development application page (returning undefined if the page has not
+// been cached).
+async function getCachedPage(database, url) {
+    return await getSql(database, "select * from [page_cache] where [url] = ?", [url]);
+}
+// Caches a development application page (retaining the application number associated with the
+// page if the page was previously cached).
+async function updateCachedPage(database, url, etag, lastModified, body) {
+    await runSql(database, "insert or replace into [page_cache] values (?, (select [council_reference] from [page_cache] where [url] = ?), ?, ?, ?, ?)", [
+        url,
+        url,
+        etag,
+        lastModified,
+        body,
+        moment().format("YYYY-MM-DD HH:mm:ss")
+    ]);
+}
+// Associates a cached development application page with its application number.
+async function updateCachedPageApplicationNumber(database, url, applicationNumber) {
+    await runSql(database, "update [page_cache] set [council_reference] = ? where [url] = ?", [applicationNumber, url]);
+}
+// Determines whether the development application associated with the specified page is already
+// complete in the database (that is, a decision has been made, so the page is not expected to
+// change and there is no need to retrieve the page again).
+async function isCompleteInDatabase(database, storage, url) {
+    let cachedPage = await getCachedPage(database, url);
+    if (cachedPage === undefined || cachedPage.council_reference === null)
+        return false;
+    let row = await storage.getApplication(cachedPage.council_reference);
+    return row !== undefined &&
+        [row.description, row.date_received, row.decision, row.decision_date].every(value => value !== null && value !== undefined && value !== "");
+}
+// Saves the summary of the current run (and any issues found during the run) to the database.
+async function insertRunSummary(database, runSummary) {
+    let statement = await runSql(database, "insert into [run_summary] ([command], [date_started], [date_completed], [page_count], [application_count], [saved_count], [invalid_count], [layout_issue_count], [request_count], [is_layout_changed]) values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)", [
+        runSummary.command,
+        runSummary.dateStarted,
+        runSummary.dateCompleted,
+        runSummary.pageCount,
+        runSummary.applicationCount,
+        runSummary.savedCount,
+        runSummary.invalidCount,
+        runSummary.layoutIssueCount,
+        RequestCount,
+        (runSummary.layoutIssueCount > 0) ? 1 : 0
+    ]);
+    for (let issue of runSummary.issues)
+        await runSql(database, "insert into [run_issues] values (?, ?, ?, ?, ?)", [statement.lastID, issue.category, issue.applicationNumber, issue.url, issue.message]);
+}
 // Gets a random integer in the specified range: [minimum, maximum).
 function getRandom(minimum, maximum) {
     return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
@@ -79,22 +472,247 @@ function getRandom(minimum, maximum) {
 function sleep(milliseconds) {
     return new Promise(resolve => setTimeout(resolve, milliseconds));
 }
-// Format the address, ensuring that it has a valid suburb name, state and post code.
+// Reads the index of recorded pages from the specified directory (or creates an empty index if
+// no pages have been recorded in that directory yet).
+function readRecordedPages(directory) {
+    let indexFileName = path.join(directory, RecordedPagesFileName);
+    if (!fs.existsSync(indexFileName))
+        return { searches: [], pages: {}, failures: {} };
+    return Object.assign({ searches: [], pages: {}, failures: {} }, JSON.parse(fs.readFileSync(indexFileName).toString()));
+}
+// Writes the index of recorded pages to the record directory.
+function writeRecordedPages() {
+    fs.writeFileSync(path.join(RecordDirectory, RecordedPagesFileName), JSON.stringify(RecordedPages, null, 4));
+}
+// Notes that a search (either for a date range or for a single application number) is being
+// recorded (so that the same search can be repeated when replaying).
+function recordSearch(search) {
+    if (!RecordedPages.searches.some(existingSearch => existingSearch.dateFrom === search.dateFrom && existingSearch.dateTo === search.dateTo && existingSearch.applicationNumber === search.applicationNumber))
+        RecordedPages.searches.push(search);
+    writeRecordedPages();
+}
+// Gets the key of a recorded page in the index of recorded pages.  This is the path and query of
+// the URL (without the scheme and host) so that pages recorded using one site URL can be replayed
+// using another (for example, when recorded from a local copy of the council web site).
+function getRecordedPageKey(url) {
+    return url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^\/]*/i, "");
+}
+// Determines whether the page at the specified URL is needed when replaying but was not recorded
+// (neither the page itself nor a failure to retrieve the page).
+function isMissingRecordedPage(url) {
+    let key = getRecordedPageKey(url);
+    return ReplayDirectory !== undefined && RecordedPages.pages[key] === undefined && RecordedPages.failures[key] === undefined;
+}
+// Retrieves the HTML of the page at the specified URL.  When replaying, the page is read from a
+// previously recorded file instead of being requested from the council web site.  When recording,
+// the entire page is also saved to a file (named using a hash of the URL), or the reason that the
+// page could not be retrieved is saved in the index of recorded pages.  When a database is
+// specified the table of details on the page is cached in the database and revalidated using the
+// ETag and Last-Modified headers (except when recording, so that the entire page is retrieved).
+async function retrievePage(url, database = undefined) {
+    if (ReplayDirectory !== undefined) {
+        let failure = RecordedPages.failures[getRecordedPageKey(url)];
+        if (failure !== undefined)
+            throw new Error(failure);
+        let fileName = RecordedPages.pages[getRecordedPageKey(url)];
+        if (fileName === undefined) {
+            reportIssue("missing", `No recorded page was found in "${ReplayDirectory}".`, null, url);
+            throw new Error(`No recorded page was found in "${ReplayDirectory}" for ${url}`);
+        }
+        return fs.readFileSync(path.join(ReplayDirectory, fileName)).toString();
+    }
+    let cachedPage = (database === undefined || RecordDirectory !== undefined) ? undefined : await getCachedPage(database, url);
+    if (cachedPage !== undefined && cachedPage.body === null)
+        cachedPage = undefined; // nothing to revalidate
+    let headers = {};
+    if (cachedPage !== undefined && cachedPage.etag !== null)
+        headers["If-None-Match"] = cachedPage.etag;
+    if (cachedPage !== undefined && cachedPage.last_modified !== null)
+        headers["If-Modified-Since"] = cachedPage.last_modified;
+    let response = undefined;
+    try {
+        response = await requestWithRetries(url, headers);
+    }
+    catch (error) {
+        if (RecordDirectory !== undefined) {
+            RecordedPages.failures[getRecordedPageKey(url)] = error.message;
+            delete RecordedPages.pages[getRecordedPageKey(url)];
+            writeRecordedPages();
+        }
+        throw error;
+    }
+    let body = response.body;
+    if (response.statusCode === 304 && cachedPage !== undefined)
+        body = cachedPage.body; // not modified
+    else if (database !== undefined) {
+        // Only the table of development application details is cached (rather than the entire
+        // page) to keep the database small.  When the table is missing nothing is cached so that
+        // the page is requested in full next time.
+        let $ = cheerio.load(body);
+        let table = $("table.gv-table-view-content").first();
+        if (table.length === 0)
+            await updateCachedPage(database, url, null, null, null);
+        else
+            await updateCachedPage(database, url, response.headers["etag"] || null, response.headers["last-modified"] || null, $.html(table));
+    }
+    if (RecordDirectory !== undefined) {
+        let fileName = crypto.createHash("sha1").update(url).digest("hex").substring(0, 16) + ".html";
+        fs.writeFileSync(path.join(RecordDirectory, fileName), body);
+        RecordedPages.pages[getRecordedPageKey(url)] = fileName;
+        delete RecordedPages.failures[getRecordedPageKey(url)];
+        writeRecordedPages();
+    }
+    return body;
+}
+// Requests the page at the specified URL, waiting at least the minimum delay since the previous
+// request, and attempting the request again (with an exponentially increasing delay) if a
+// transient error occurs.  Throws an error if the request limit for this run is reached.
+async function requestWithRetries(url, headers) {
+    let retryDelay = RetryDelay;
+    for (let attempt = 1;; attempt++) {
+        if (RequestCount >= RequestLimit)
+            throw new Error(`The limit of ${RequestLimit} requests for this run was reached before requesting ${url}`);
+        await sleep(Math.max(0, LastRequestTime + RequestDelay - Date.now()));
+        LastRequestTime = Date.now();
+        RequestCount++;
+        let error = undefined;
+        try {
+            let response = await request({ url: url, headers: headers, rejectUnauthorized: false, proxy: process.env.MORPH_PROXY, timeout: RequestTimeout, resolveWithFullResponse: true, simple: false });
+            if (response.statusCode < 400)
+                return response;
+            error = new Error(`The request for ${url} failed with HTTP status ${response.statusCode}.`);
+            if (response.statusCode !== 429 && response.statusCode < 500)
+                throw error; // not a transient error
+        }
+        catch (requestError) {
+            if (requestError === error)
+                throw error;
+            error = requestError;
+        }
+        if (attempt >= MaximumAttemptCount)
+            throw error;
+        console.log(`Attempt ${attempt} of ${MaximumAttemptCount} failed (${error.message}); retrying in ${retryDelay / 1000} seconds.`);
+        await sleep(retryDelay);
+        retryDelay *= 2;
+    }
+}
+// Pauses between requests to avoid overloading the council web site (there is no need to pause
+// when replaying recorded pages).
+async function pause(milliseconds) {
+    if (ReplayDirectory === undefined)
+        await sleep(milliseconds);
+}
+// Records an issue found during the current run.  The category is "invalid" for a development
+// application that failed validation, "layout" when an expected part of a page is missing (which
+// indicates that the layout of the council web site may have changed), "fetch" when a page could
+// not be retrieved from the council web site, "missing" when a page being replayed was not
+// recorded or "limit" when the safety limit on the number of pages was reached.
+function reportIssue(category, message, applicationNumber = null, url = null) {
+    console.log(`    Issue (${category}): ${message}${(applicationNumber === null) ? "" : ` [application "${applicationNumber}"]`}${(url === null) ? "" : ` [${url}]`}`);
+    if (RunSummary === undefined)
+        return;
+    RunSummary.issues.push({ category: category, message: message, applicationNumber: applicationNumber, url: url });
+    if (category === "invalid")
+        RunSummary.invalidCount++;
+    else if (category === "layout")
+        RunSummary.layoutIssueCount++;
+}
+// Validates a development application, returning a description of each problem found (an empty
+// array is returned if the development application is valid).
+function validateApplication(developmentApplication) {
+    let problems = [];
+    if (!ApplicationNumberPattern.test(developmentApplication.applicationNumber))
+        problems.push(`The application number "${developmentApplication.applicationNumber}" is not in the expected format.`);
+    if (developmentApplication.receivedDate === "")
+        problems.push("The received date is missing or invalid.");
+    else if (moment(developmentApplication.receivedDate, "YYYY-MM-DD", true).isAfter(moment(), "day"))
+        problems.push(`The received date ${developmentApplication.receivedDate} is in the future.`);
+    if (developmentApplication.description === "")
+        problems.push("The description is empty.");
+    // An address that is only a hundred (such as "HD CLINTON" or "Section 123 HD CLINTON") has no
+    // suburb, so the suburb is only expected if there is also a street.
+    let formattedAddress = developmentApplication.formattedAddress;
+    let isHundredOnly = (formattedAddress.hundred !== null && formattedAddress.streetName === null && formattedAddress.suburb === null);
+    if (formattedAddress.match === "unresolved" && !isHundredOnly)
+        problems.push(`The suburb was not recognised in the address "${developmentApplication.address}".`);
+    return problems;
+}
+// Parses a date from a development application page (returning an empty string if the date is
+// invalid or missing).  Both "10/02/2020" and "10/2/2020" are accepted.
+function parseDate(text) {
+    let date = moment(text.trim(), ["D/MM/YYYY", "D/M/YYYY"], true);
+    return date.isValid() ? date.format("YYYY-MM-DD") : "";
+}
+// Parses the fields of a development application page into the typed detail columns (using the
+// same key and date formats as the council web site) and the remaining "other" fields.
+function parseDetails(fields) {
+    let details = {};
+    let otherFields = {};
+    for (let key of Object.keys(fields)) {
+        if (key === DANumberKey || key === ReceivedDateKey || key === DescriptionKey)
+            continue;
+        let detailColumn = DetailColumns.find(detailColumn => detailColumn.keys.indexOf(key) >= 0);
+        let value = (detailColumn !== undefined && detailColumn.isDate) ? parseDate(fields[key]) : fields[key];
+        // Keep the original key and value as an "other" field if there is no column for the key,
+        // if the column is already filled by another key (for example, "DECISION TYPE" when there
+        // is also a "DECISION" key) or if a date could not be parsed (so that nothing is dropped).
+        if (detailColumn === undefined || (details[detailColumn.column] !== undefined && details[detailColumn.column] !== "") || (value === "" && fields[key].trim() !== ""))
+            otherFields[key] = fields[key];
+        if (detailColumn !== undefined && (details[detailColumn.column] === undefined || details[detailColumn.column] === ""))
+            details[detailColumn.column] = value;
+    }
+    // Obtain the hundred name from the land description if there is no separate hundred key (for
+    // example, "Section 123 HD CLINTON" or "Allotment 4 Hundred of Melville").
+    if ((details["hundred"] === undefined || details["hundred"] === "") && details["land_description"] !== undefined) {
+        let hundredMatch = /\b(?:HD|HUNDRED OF|HUNDRED)\.?\s+([A-Z]+)/i.exec(details["land_description"]);
+        if (hundredMatch !== null && HundredNames.indexOf(hundredMatch[1].toUpperCase()) >= 0)
+            details["hundred"] = hundredMatch[1].toUpperCase();
+    }
+    for (let detailColumn of DetailColumns)
+        if (details[detailColumn.column] === undefined || details[detailColumn.column] === "")
+            details[detailColumn.column] = null;
+    return { details: details, otherFields: otherFields };
+}
+// Format the address, ensuring that it has a valid suburb name, state and post code.  Returns
+// the formatted address along with its components (street number, street name, suburb, state,
+// post code, hundred, section and allotment) and how the suburb name was matched: "exact",
+// "fuzzy" (allowing for a spelling error, with the edit distance) or "unresolved".
 function formatAddress(address) {
+    let formattedAddress = {
+        address: "",
+        original: address,
+        streetNumber: null,
+        streetName: null,
+        suburb: null,
+        state: null,
+        postcode: null,
+        hundred: null,
+        section: null,
+        allotment: null,
+        match: "unresolved",
+        matchDistance: null
+    };
+    // Retain any hundred name in brackets (that often appears after the suburb name) such as in
+    // "106 Sultana Point Road EDITHBURGH (Hd Melville)".
+    let hundredMatch = / \(Hd\.? *(.*?)\)/i.exec(address);
+    if (hundredMatch !== null && hundredMatch[1].trim() !== "")
+        formattedAddress.hundred = hundredMatch[1].toUpperCase().trim();
     // Remove a dot at the start of the address such as in ". HD CLINTON" or a dot in the middle
     // of an address such as in "7 The Esplanade . MARION BAY".  Remove any hundred name in
-    // brackets (that often appears after the suburb name) such as in "106 Sultana Point Road
-    // EDITHBURGH (Hd Melville)".  Replace multiple consecutive spaces with single spaces.
+    // brackets.  Replace multiple consecutive spaces with single spaces.
     address = address.replace(/^\. /g, " ").replace(/ \. /g, " ").replace(/ \(Hd.*?\)/gi, "").replace(/\s\s+/g, " ").trim();
+    formattedAddress.address = address;
     if (address === "")
-        return address;
+        return formattedAddress;
     // Do not attempt to format the address if it ends in a hundred name.  Otherwise the hundred
     // name may be incorrectly interpreted as a suburb name.  For example, "HD CLINTON"
     let uppercaseAddress = address.toUpperCase();
     for (let hundredName of HundredNames) {
         if (uppercaseAddress.toUpperCase() === "HD " + hundredName || uppercaseAddress.endsWith(" HD " + hundredName)) {
             console.log(`The state and post code will not be added because the address ends with a hundred name: ${address}`);
-            return address;
+            formattedAddress.hundred = hundredName;
+            parseStreet(address.substring(0, address.length - ("HD " + hundredName).length).trim(), formattedAddress);
+            return formattedAddress;
         }
     }
     // Extract tokens from the end of the array until a valid suburb name is encountered
@@ -103,83 +721,544 @@ function formatAddress(address) {
     let tokens = address.split(" ");
     let suburbName = null;
     for (let index = 4; index >= 1; index--) {
-        let suburbNameMatch = didyoumean(tokens.slice(-index).join(" "), Object.keys(SuburbNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true });
+        let suburbNameText = tokens.slice(-index).join(" ");
+        let suburbNameMatch = didyoumean(suburbNameText, Object.keys(SuburbNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true });
         if (suburbNameMatch !== null) {
             suburbName = SuburbNames[suburbNameMatch];
             tokens.splice(-index, index); // remove elements from the end of the array
+            // Only an edit distance of zero or one is accepted (see the threshold above).
+            formattedAddress.matchDistance = (suburbNameText.toUpperCase().replace(/\s+/g, " ").trim() === suburbNameMatch) ? 0 : 1;
+            formattedAddress.match = (formattedAddress.matchDistance === 0) ? "exact" : "fuzzy";
             break;
         }
     }
     if (suburbName === null) { // suburb name not found (or not recognised)
         console.log(`The state and post code will not be added because the suburb was not recognised: ${address}`);
-        return address;
+        parseStreet(address, formattedAddress);
+        return formattedAddress;
+    }
+    // Separate the suburb name from its state and post code (for example, "MINLATON SA 5575").
+    let suburbMatch = /^(.*) ([A-Z]+) ([0-9]{4})$/.exec(suburbName);
+    if (suburbMatch === null)
+        formattedAddress.suburb = suburbName;
+    else {
+        formattedAddress.suburb = suburbMatch[1];
+        formattedAddress.state = suburbMatch[2];
+        formattedAddress.postcode = suburbMatch[3];
     }
     // Add the suburb name with its state and post code to the street name.
     let streetName = tokens.join(" ").trim();
-    return (streetName + ((streetName === "") ? "" : ", ") + suburbName).trim();
+    parseStreet(streetName, formattedAddress);
+    formattedAddress.address = (streetName + ((streetName === "") ? "" : ", ") + suburbName).trim();
+    return formattedAddress;
+}
+// Parses the street part of an address (that is, the address without the suburb name) into the
+// section, allotment, street number and street name.  For example, "Lot 5 Section 123 12 Main
+// Street" or "12A Main Street".
+function parseStreet(street, formattedAddress) {
+    let sectionMatch = /\b(?:SECTION|SECT|SEC)\.? *([0-9]+[A-Z]?)\b/i.exec(street);
+    if (sectionMatch !== null) {
+        formattedAddress.section = sectionMatch[1].toUpperCase();
+        street = street.replace(sectionMatch[0], " ");
+    }
+    let allotmentMatch = /\b(?:ALLOTMENT|ALLOT|LOT)\.? *([0-9]+[A-Z]?)\b/i.exec(street);
+    if (allotmentMatch !== null) {
+        formattedAddress.allotment = allotmentMatch[1].toUpperCase();
+        street = street.replace(allotmentMatch[0], " ");
+    }
+    street = street.replace(/\s\s+/g, " ").replace(/^[ ,]+|[ ,]+$/g, "");
+    let streetNumberMatch = /^([0-9]+[A-Z]?(?: *[-\/] *[0-9]+[A-Z]?)?),? (.*)$/i.exec(street);
+    if (streetNumberMatch !== null) {
+        formattedAddress.streetNumber = streetNumberMatch[1].replace(/ /g, "").toUpperCase();
+        street = streetNumberMatch[2];
+    }
+    formattedAddress.streetName = (street === "") ? null : street;
 }
-// Parses the development applications in the specified date range.
-async function parse(dateFrom, dateTo, database) {
+// Parses the development applications in the specified date range, starting at the specified
+// page of the search results.  Parsing stops early (before retrieving the next page) once the
+// specified number of requests have been made during this run, or once the maximum number of
+// pages of search results have been parsed.  The optional callback is invoked after each page of
+// search results has been parsed (with the number of development applications on that page that
+// were skipped because their pages could not be retrieved).  Returns true if the last page of the
+// search results was reached without skipping any development applications.
+async function parse(dateFrom, dateTo, database, storage, firstPageNumber = 1, requestLimit = Infinity, onPageParsed = undefined) {
     console.log(`Retrieving development applications from ${dateFrom.format("YYYY-MM-DD")} to ${dateTo.format("YYYY-MM-DD")}.`);
     let dateFromText = encodeURIComponent(dateFrom.format("DD/MM/YYYY"));
     let dateToText = encodeURIComponent(dateTo.format("DD/MM/YYYY"));
-    // Step through each page of the results for the specified date range.
-    let pageNumber = 0;
-    while (pageNumber++ < 100) { // safety precaution
-        let developmentApplicationsUrl = DevelopmentApplicationsUrl.replace(/\{0\}/g, pageNumber.toString()).replace(/\{1\}/g, dateFromText).replace(/\{2\}/g, dateToText);
+    if (RecordDirectory !== undefined)
+        recordSearch({ dateFrom: dateFrom.format("YYYY-MM-DD"), dateTo: dateTo.format("YYYY-MM-DD") });
+    let getPageUrl = (pageNumber) => DevelopmentApplicationsUrl.replace(/\{site\}/g, SiteUrl).replace(/\{0\}/g, pageNumber.toString()).replace(/\{1\}/g, dateFromText).replace(/\{2\}/g, dateToText);
+    return await parsePages(getPageUrl, database, storage, firstPageNumber, requestLimit, onPageParsed);
+}
+// Retrieves the development application with the specified application number again (even if it
+// is already complete in the database), by searching for the application number.  Returns true
+// if the development application was found.
+async function refresh(applicationNumber, database, storage) {
+    console.log(`Retrieving development application "${applicationNumber}".`);
+    if (RecordDirectory !== undefined)
+        recordSearch({ applicationNumber: applicationNumber });
+    let informationUrl = InformationUrl.replace(DefaultSiteUrl, SiteUrl).replace(/\{0\}/g, encodeURIComponent(applicationNumber));
+    let getPageUrl = (pageNumber) => (pageNumber === 1) ? informationUrl : `${informationUrl}&pagenum=${pageNumber}`;
+    let applicationCount = 0;
+    await parsePages(getPageUrl, database, storage, 1, Infinity, async (pageNumber, pageApplicationCount) => { applicationCount += pageApplicationCount; }, applicationNumber);
+    if (applicationCount === 0)
+        console.log(`Could not find development application "${applicationNumber}".`);
+    return applicationCount > 0;
+}
+// Parses the development applications in each page of search results (where the URL of each
+// page is obtained from the specified function), as described for the parse function.  If an
+// application number is specified then only that development application is parsed (and it is
+// parsed even if it is already complete in the database).
+async function parsePages(getPageUrl, database, storage, firstPageNumber, requestLimit, onPageParsed, refreshApplicationNumber = undefined) {
+    // Step through each page of the search results.
+    let totalSkippedCount = 0;
+    let pageNumber = firstPageNumber - 1;
+    while (pageNumber++ < firstPageNumber - 1 + MaximumPageCount) { // safety precaution
+        if (RequestCount >= requestLimit || RequestCount >= RequestLimit) {
+            console.log(`Stopped before page ${pageNumber} because the request budget was used up.`);
+            return false;
+        }
+        let developmentApplicationsUrl = getPageUrl(pageNumber);
         console.log(`Retrieving page ${pageNumber}: ${developmentApplicationsUrl}`);
-        let body = await request({ url: developmentApplicationsUrl, rejectUnauthorized: false, proxy: process.env.MORPH_PROXY });
-        await sleep(2000 + getRandom(0, 5) * 1000);
+        let body = undefined;
+        try {
+            body = await retrievePage(developmentApplicationsUrl);
+        }
+        catch (error) {
+            console.error(`Stopped at page ${pageNumber} because the page could not be retrieved: ${error.message}`);
+            if (!isMissingRecordedPage(developmentApplicationsUrl)) // already reported
+                reportIssue("fetch", `The page of search results could not be retrieved: ${error.message}`, null, developmentApplicationsUrl);
+            return false;
+        }
         let $ = cheerio.load(body);
-        // Parse the search results.
-        for (let trElement of $("table.gv-table-view tr").get()) {
-            let developmentApplicationUrl = $(trElement).find("#gv-field-31-1 a").attr("href");
-            if (developmentApplicationUrl === undefined)
-                continue;
-            // Obtain the description for the application.
-            let childBody = await request({ url: developmentApplicationUrl, rejectUnauthorized: false, proxy: process.env.MORPH_PROXY });
-            let childPage = cheerio.load(childBody);
-            let address = formatAddress($(trElement).find("#gv-field-31-7").text().trim());
-            let applicationNumber = "";
-            let receivedDate = moment.invalid();
-            let description = "";
-            for (let trElement of childPage("table.gv-table-view-content tr").get()) {
-                let key = childPage(trElement).find("th").text().toUpperCase().trim();
-                if (key === "DA NUMBER")
-                    applicationNumber = childPage(trElement).find("td").text().trim();
-                else if (key === "DATE APPLICATION RECEIVED")
-                    receivedDate = moment(childPage(trElement).find("td").text().trim(), "D/MM/YYYY", true);
-                else if (key === "DEVELOPMENT DETAILS")
-                    description = childPage(trElement).find("td").text().trim().replace(/&apos;/g, "'");
-            }
-            // Ensure that at least an application number and address have been obtained.
-            if (applicationNumber !== "" && applicationNumber !== undefined && address !== "" && address !== undefined) {
-                let informationUrl = InformationUrl.replace(/\{0\}/g, encodeURIComponent(applicationNumber));
-                let developmentApplication = {
-                    applicationNumber: applicationNumber,
-                    address: address,
-                    description: description,
-                    informationUrl: informationUrl,
-                    commentUrl: CommentUrl,
-                    scrapeDate: moment().format("YYYY-MM-DD"),
-                    receivedDate: receivedDate.isValid ? receivedDate.format("YYYY-MM-DD") : ""
-                };
-                let hasInserted = await insertRow(database, developmentApplication);
-                if (!hasInserted) // if not inserted because already existed
-                    await updateRow(database, developmentApplication);
+        if (RunSummary !== undefined)
+            RunSummary.pageCount++;
+        // Parse the search results (checking that the expected table is present, because if it
+        // is not then it is likely that the layout of the page has changed).
+        if ($("table.gv-table-view").length === 0)
+            reportIssue("layout", "The search results page does not contain the expected table.gv-table-view element.", null, developmentApplicationsUrl);
+        // Save the development applications on this page (and update the crawl ledger) as a
+        // single batch.
+        let applicationCount = 0;
+        let skippedCount = 0;
+        await storage.beginBatch();
+        try {
+            for (let trElement of $("table.gv-table-view tr").get()) {
+                if ($(trElement).find("td").length === 0)
+                    continue; // heading row
+                let developmentApplicationUrl = $(trElement).find("#gv-field-31-1 a").attr("href");
+                if (developmentApplicationUrl === undefined) {
+                    if ($(trElement).find("td").length > 1) // a single cell is used for "no results"
+                        reportIssue("layout", "A search result row does not contain the expected #gv-field-31-1 link.", null, developmentApplicationsUrl);
+                    continue;
+                }
+                if ($(trElement).find("#gv-field-31-7").length === 0)
+                    reportIssue("layout", "A search result row does not contain the expected #gv-field-31-7 address.", null, developmentApplicationUrl);
+                // Skip the application if it is already complete in the database (there is no
+                // need to check this when replaying because nothing is requested from the council
+                // web site, and it is not checked when recording so that every page is recorded).
+                if (ReplayDirectory === undefined && RecordDirectory === undefined && refreshApplicationNumber === undefined && await isCompleteInDatabase(database, storage, developmentApplicationUrl)) {
+                    console.log(`    Skipped: ${developmentApplicationUrl} is already complete in the database.`);
+                    applicationCount++;
+                    continue;
+                }
+                // Stop part way through the page if the request budget is used up (the page is then
+                // parsed again when resumed, skipping the applications already complete).
+                if (RequestCount >= requestLimit || RequestCount >= RequestLimit) {
+                    console.log(`Stopped part way through page ${pageNumber} because the request budget was used up.`);
+                    return false;
+                }
+                // Obtain the description for the application (skipping the application if the page
+                // cannot be retrieved, rather than abandoning the entire run).
+                let childBody = undefined;
+                try {
+                    childBody = await retrievePage(developmentApplicationUrl, database);
+                }
+                catch (error) {
+                    console.error(`    Skipped: ${developmentApplicationUrl} could not be retrieved: ${error.message}`);
+                    if (!isMissingRecordedPage(developmentApplicationUrl)) // already reported
+                        reportIssue("fetch", `The development application page could not be retrieved: ${error.message}`, null, developmentApplicationUrl);
+                    skippedCount++;
+                    continue;
+                }
+                let childPage = cheerio.load(childBody);
+                if (childPage("table.gv-table-view-content").length === 0)
+                    reportIssue("layout", "The development application page does not contain the expected table.gv-table-view-content element.", null, developmentApplicationUrl);
+                let formattedAddress = formatAddress($(trElement).find("#gv-field-31-7").text().trim());
+                let address = formattedAddress.address;
+                let applicationNumber = "";
+                let receivedDate = "";
+                let description = "";
+                let fields = {};
+                for (let trElement of childPage("table.gv-table-view-content tr").get()) {
+                    let key = childPage(trElement).find("th").text().toUpperCase().replace(/\s\s+/g, " ").trim();
+                    let value = childPage(trElement).find("td").text().trim().replace(/&apos;/g, "'");
+                    if (key === "")
+                        continue;
+                    fields[key] = value;
+                    if (key === DANumberKey)
+                        applicationNumber = value;
+                    else if (key === ReceivedDateKey)
+                        receivedDate = parseDate(value);
+                    else if (key === DescriptionKey)
+                        description = value;
+                }
+                let { details, otherFields } = parseDetails(fields);
+                for (let expectedKey of [DANumberKey, ReceivedDateKey, DescriptionKey])
+                    if (!fields.hasOwnProperty(expectedKey) && Object.keys(fields).length > 0)
+                        reportIssue("layout", `The development application page does not contain the expected "${expectedKey}" key.`, (applicationNumber === "") ? null : applicationNumber, developmentApplicationUrl);
+                // Ignore any other development applications found when searching for a specific
+                // application number (the search also matches partial application numbers).
+                if (refreshApplicationNumber !== undefined && applicationNumber.toUpperCase() !== refreshApplicationNumber.toUpperCase())
+                    continue;
+                // Ensure that at least an application number and address have been obtained.
+                if (applicationNumber === "" || applicationNumber === undefined || address === "" || address === undefined) {
+                    reportIssue("invalid", `The development application was skipped because its ${(applicationNumber === "" || applicationNumber === undefined) ? "application number" : "address"} is empty.`, (applicationNumber === "") ? null : applicationNumber, developmentApplicationUrl);
+                }
+                else {
+                    let informationUrl = InformationUrl.replace(/\{0\}/g, encodeURIComponent(applicationNumber));
+                    let developmentApplication = {
+                        applicationNumber: applicationNumber,
+                        address: address,
+                        description: description,
+                        informationUrl: informationUrl,
+                        commentUrl: CommentUrl,
+                        scrapeDate: moment().format("YYYY-MM-DD"),
+                        receivedDate: receivedDate,
+                        formattedAddress: formattedAddress,
+                        details: details,
+                        otherFields: otherFields
+                    };
+                    // Report any problems with the development application (it is still saved, so
+                    // that the problems can be corrected in the database if necessary).
+                    for (let problem of validateApplication(developmentApplication))
+                        reportIssue("invalid", problem, applicationNumber, developmentApplicationUrl);
+                    await storage.saveApplication(developmentApplication);
+                    if (ReplayDirectory === undefined)
+                        await updateCachedPageApplicationNumber(database, developmentApplicationUrl, applicationNumber);
+                    applicationCount++;
+                    if (RunSummary !== undefined)
+                        RunSummary.savedCount++;
+                }
             }
+            if (RunSummary !== undefined)
+                RunSummary.applicationCount += applicationCount;
+            totalSkippedCount += skippedCount;
+            if (onPageParsed !== undefined)
+                await onPageParsed(pageNumber, applicationCount, skippedCount);
+        }
+        finally {
+            await storage.endBatch();
         }
         // If there is no "next page" link then assume this is the last page.
         let hasNextPageLink = ($("ul.page-numbers li a.next").length > 0);
         if (!hasNextPageLink) {
             console.log("Reached the last page of the paged search results.");
-            return;
+            return (totalSkippedCount === 0);
+        }
+    }
+    // The remaining pages are not parsed, so the search is incomplete (a backfilled month is then
+    // resumed from the next page on the following run).
+    reportIssue("limit", `Stopped because reached ${MaximumPageCount} pages of search results (the remaining pages were not parsed).`, null, getPageUrl(firstPageNumber));
+    return false;
+}
+// Backfills older months of development applications (to build up over time a complete picture
+// of all development applications, while avoiding overloading the web server with a lot of
+// requests).  Each month is recorded in the crawl ledger so that the months that have never been
+// crawled (or were crawled the longest time ago) are selected first, and so that a month that was
+// interrupted part way through its pages is resumed from the next page on the following run (or
+// from the same page if interrupted part way through that page or if any development
+// applications on that page could not be retrieved).
+async function backfill(database, storage) {
+    let crawlLedger = await getCrawlLedger(database);
+    // Determine the candidate months (excluding the current month which is still incomplete).
+    let crawledMonths = [];
+    for (let month = FirstBackfillMonth.clone(); month.isBefore(moment().startOf("month")); month.add(1, "months")) {
+        let key = month.format("YYYY-MM");
+        crawledMonths.push(crawlLedger[key] || {
+            month: key,
+            date_from: month.format("YYYY-MM-DD"),
+            date_to: month.clone().endOf("month").format("YYYY-MM-DD"),
+            status: "pending",
+            last_page_number: 0,
+            application_count: 0,
+            date_started: null,
+            date_completed: null
+        });
+    }
+    // Resume partially crawled months first, then months that have never been crawled (oldest
+    // first), then the months that were crawled the longest time ago.
+    let getPriority = crawledMonth => (crawledMonth.status === "partial") ? 0 : ((crawledMonth.status === "pending") ? 1 : 2);
+    crawledMonths.sort((crawledMonth1, crawledMonth2) => (getPriority(crawledMonth1) - getPriority(crawledMonth2)) ||
+        (crawledMonth1.date_completed || "").localeCompare(crawledMonth2.date_completed || "") ||
+        crawledMonth1.month.localeCompare(crawledMonth2.month));
+    let requestLimit = RequestCount + RequestBudget;
+    console.log(`Backfilling older months using a budget of ${RequestBudget} requests.`);
+    for (let crawledMonth of crawledMonths) {
+        if (RequestCount >= requestLimit || RequestCount >= RequestLimit)
+            break;
+        // Restart a month from its first page if it was previously completed.
+        if (crawledMonth.status !== "partial") {
+            crawledMonth.status = "partial";
+            crawledMonth.last_page_number = 0;
+            crawledMonth.application_count = 0;
+            crawledMonth.date_started = moment().format("YYYY-MM-DD HH:mm:ss");
+            crawledMonth.date_completed = null;
+        }
+        let hasSkippedApplications = false;
+        let isComplete = await parse(moment(crawledMonth.date_from, "YYYY-MM-DD", true), moment(crawledMonth.date_to, "YYYY-MM-DD", true), database, storage, crawledMonth.last_page_number + 1, requestLimit, async (pageNumber, applicationCount, skippedCount) => {
+            // Once a development application has been skipped (because its page could not be
+            // retrieved) the month is resumed from that page on the next run, so that the
+            // development application is attempted again.
+            if (skippedCount > 0)
+                hasSkippedApplications = true;
+            if (!hasSkippedApplications) {
+                crawledMonth.last_page_number = pageNumber;
+                crawledMonth.application_count += applicationCount;
+            }
+            await updateCrawlLedger(database, crawledMonth);
+        });
+        if (isComplete) {
+            crawledMonth.status = "complete";
+            crawledMonth.date_completed = moment().format("YYYY-MM-DD HH:mm:ss");
+            await updateCrawlLedger(database, crawledMonth);
+            console.log(`Completed the month ${crawledMonth.month} with ${crawledMonth.application_count} development application(s).`);
+        }
+        else {
+            await updateCrawlLedger(database, crawledMonth); // in case stopped part way through the first page
+            console.log(`Stopped part way through the month ${crawledMonth.month} after page ${crawledMonth.last_page_number}${hasSkippedApplications ? " because development applications were skipped" : ""} (this month will be resumed on the next run).`);
+        }
+        await pause(5000 + getRandom(0, 10) * 1000);
+    }
+}
+// Lists the development applications that changed in the specified date range.
+async function listChanges(database, dateFrom, dateTo) {
+    let changes = await getChanges(database, dateFrom, dateTo);
+    console.log(`Found ${changes.length} change(s) to development applications scraped from ${dateFrom.format("YYYY-MM-DD")} to ${dateTo.format("YYYY-MM-DD")}.`);
+    let previousApplicationNumber = undefined;
+    for (let change of changes) {
+        if (change.council_reference !== previousApplicationNumber)
+            console.log(`Application "${change.council_reference}":`);
+        console.log(`    ${change.date_scraped}: ${change.field} changed from "${change.old_value}" to "${change.new_value}".`);
+        previousApplicationNumber = change.council_reference;
+    }
+}
+// Lists the addresses where the suburb name was not recognised or was only matched by allowing
+// for a spelling error (to assist in adding suburb names to suburbnames.txt).
+async function reportAddresses(database) {
+    let rows = await getUnresolvedAddresses(database);
+    console.log(`Found ${rows.length} address(es) with an unresolved or fuzzy-matched suburb name.`);
+    for (let row of rows) {
+        let match = (row.address_match === "fuzzy") ? `fuzzy (edit distance ${row.address_match_distance})` : row.address_match;
+        let hundred = (row.address_hundred === null) ? "" : ` [hundred ${row.address_hundred}]`;
+        console.log(`    ${row.council_reference}: ${match}: "${row.address_original}" formatted as "${row.address}"${hundred}`);
+    }
+}
+// Formats a value as a CSV field (quoting the value if it contains a comma, quote or line break).
+function formatCsvField(value) {
+    let text = (value === undefined || value === null) ? "" : value.toString();
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+// Converts a row of the [data] table to a PlanningAlerts application (with the approximate
+// location of the suburb, if the suburb was recognised).
+function toPlanningAlertsApplication(row) {
+    let centroid = (row.address_suburb === null || row.address_suburb === undefined) ? undefined : SuburbCentroids[row.address_suburb];
+    return {
+        council_reference: row.council_reference,
+        address: row.address,
+        description: row.description,
+        info_url: row.info_url,
+        comment_url: row.comment_url,
+        lat: (centroid === undefined) ? null : centroid.latitude,
+        lng: (centroid === undefined) ? null : centroid.longitude,
+        date_scraped: row.date_scraped,
+        date_received: (row.date_received === "") ? null : row.date_received,
+        on_notice_from: row.on_notice_from,
+        on_notice_to: row.on_notice_to,
+        authority: { full_name: AuthorityName }
+    };
+}
+// Exports the development applications received in the specified date range (or all development
+// applications if no date range is specified) to the specified directory as CSV, as a JSON feed
+// in the same format as the PlanningAlerts API and as GeoJSON.  Each point in the GeoJSON is the
+// approximate centre of the suburb (so development applications whose suburb was not recognised
+// are omitted from the GeoJSON).
+async function exportApplications(database, directory, dateFrom, dateTo) {
+    let rows = await getRows(database, dateFrom, dateTo);
+    if (!fs.existsSync(directory))
+        fs.mkdirSync(directory);
+    // Export all columns of the [data] table as CSV.
+    let columnNames = (await allSql(database, "pragma table_info([data])")).map(column => column.name);
+    let lines = [columnNames.map(formatCsvField).join(",")];
+    for (let row of rows)
+        lines.push(columnNames.map(columnName => formatCsvField(row[columnName])).join(","));
+    fs.writeFileSync(path.join(directory, "applications.csv"), lines.join("\r\n") + "\r\n");
+    // Export a PlanningAlerts JSON feed.
+    let applications = rows.map(toPlanningAlertsApplication);
+    fs.writeFileSync(path.join(directory, "applications.json"), JSON.stringify(applications.map(application => ({ application: application })), null, 4));
+    // Export GeoJSON (with coordinates in longitude, latitude order).
+    let features = applications.filter(application => application.lat !== null).map(application => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [application.lng, application.lat] },
+        properties: Object.assign({}, application, { authority: AuthorityName, location_precision: "suburb" })
+    }));
+    fs.writeFileSync(path.join(directory, "applications.geojson"), JSON.stringify({ type: "FeatureCollection", features: features }, null, 4));
+    console.log(`Exported ${rows.length} development application(s) to "${directory}" (${features.length} with an approximate location).`);
+}
+// Parses a date from the command line (in the format YYYY-MM-DD).
+function parseCommandLineDate(text) {
+    let date = moment(text, "YYYY-MM-DD", true);
+    if (!date.isValid())
+        throw new Error(`The date must be in the format YYYY-MM-DD: ${text}`);
+    return date;
+}
+// Parses a non-negative integer from the command line or an environment variable (such as a
+// request budget).
+function parseCount(text, name) {
+    let count = Number(text);
+    if (text.trim() === "" || !Number.isInteger(count) || count < 0)
+        throw new Error(`The ${name} must be a non-negative integer: ${text}`);
+    return count;
+}
+// The commands that can be specified on the command line (and whether each command requires an
+// argument).
+const Commands = {
+    scrape: false,
+    application: true,
+    replay: true,
+    changes: false,
+    addresses: false,
+    export: true // export the development applications to the specified directory
+};
+// Parses the command line, which consists of an optional command (see the Commands constant,
+// defaulting to "scrape") followed by options.  The "--from <date>" and "--to <date>" options
+// specify a date range (in the format YYYY-MM-DD).  The "--db <path>" option specifies the
+// database (instead of data.sqlite).  The "--storage <sqlite|ndjson|sql>" option specifies where
+// development applications are saved: the sqlite database (the default), a newline-delimited
+// JSON file or a PostgreSQL-compatible SQL file (at the path given by the "--output <path>"
+// option, defaulting to data.ndjson or data.sql).  The "--dry-run" option shows what would be
+// saved without modifying the database.  The "--record <directory>" option saves every retrieved
+// page to the specified directory.  The "--budget <count>" option sets the maximum number of
+// requests made when backfilling.  The "--request-limit <count>" option sets the maximum number
+// of requests made in this run.  The "--request-delay <milliseconds>" option sets the minimum
+// delay between requests.  The "--retry-delay <milliseconds>" option sets the delay before the
+// first retry of a failed request.  The "--site-url <url>" option retrieves pages from a
+// different web site (such as a local HTTP server used for testing) instead of the council web
+// site.
+function parseCommandLine(args) {
+    if (process.env.MORPH_REQUEST_BUDGET !== undefined)
+        RequestBudget = parseCount(process.env.MORPH_REQUEST_BUDGET, "request budget");
+    if (process.env.MORPH_REQUEST_LIMIT !== undefined)
+        RequestLimit = parseCount(process.env.MORPH_REQUEST_LIMIT, "request limit");
+    if (process.env.MORPH_REQUEST_DELAY !== undefined)
+        RequestDelay = parseCount(process.env.MORPH_REQUEST_DELAY, "request delay");
+    if (process.env.MORPH_RETRY_DELAY !== undefined)
+        RetryDelay = parseCount(process.env.MORPH_RETRY_DELAY, "retry delay");
+    if (process.env.MORPH_SITE_URL !== undefined)
+        SiteUrl = process.env.MORPH_SITE_URL.replace(/\/+$/, "");
+    let index = 0;
+    if (args.length > 0 && !args[0].startsWith("--")) {
+        Command = args[index++];
+        if (!Commands.hasOwnProperty(Command))
+            throw new Error(`Unrecognised command: ${Command} (the commands are ${Object.keys(Commands).join(", ")}).`);
+        if (Commands[Command]) {
+            if (index >= args.length || args[index].startsWith("--"))
+                throw new Error(`The ${Command} command requires an argument.`);
+            CommandArgument = args[index++];
+        }
+    }
+    for (; index < args.length; index++) {
+        if (args[index] === "--from" && index + 1 < args.length)
+            DateFrom = parseCommandLineDate(args[++index]);
+        else if (args[index] === "--to" && index + 1 < args.length)
+            DateTo = parseCommandLineDate(args[++index]);
+        else if (args[index] === "--db" && index + 1 < args.length)
+            DatabasePath = args[++index];
+        else if (args[index] === "--storage" && index + 1 < args.length)
+            StorageType = args[++index];
+        else if (args[index] === "--output" && index + 1 < args.length)
+            OutputPath = args[++index];
+        else if (args[index] === "--dry-run")
+            IsDryRun = true;
+        else if (args[index] === "--record" && index + 1 < args.length)
+            RecordDirectory = args[++index];
+        else if (args[index] === "--budget" && index + 1 < args.length)
+            RequestBudget = parseCount(args[++index], "request budget");
+        else if (args[index] === "--request-limit" && index + 1 < args.length)
+            RequestLimit = parseCount(args[++index], "request limit");
+        else if (args[index] === "--request-delay" && index + 1 < args.length)
+            RequestDelay = parseCount(args[++index], "request delay");
+        else if (args[index] === "--retry-delay" && index + 1 < args.length)
+            RetryDelay = parseCount(args[++index], "retry delay");
+        else if (args[index] === "--site-url" && index + 1 < args.length)
+            SiteUrl = args[++index].replace(/\/+$/, "");
+        else
+            throw new Error(`Unrecognised command line option: ${args[index]}`);
+    }
+    if (Command === "scrape" && (DateFrom === undefined) !== (DateTo === undefined))
+        throw new Error("The --from and --to options must be used together.");
+    if (Command === "changes" && DateFrom === undefined)
+        throw new Error("The changes command requires the --from option.");
+    if (["sqlite", "ndjson", "sql"].indexOf(StorageType) < 0)
+        throw new Error(`Unrecognised storage: ${StorageType} (the storage must be sqlite, ndjson or sql).`);
+    if (OutputPath !== undefined && StorageType === "sqlite")
+        throw new Error("The --output option requires the --storage ndjson or --storage sql option.");
+    if (DateFrom !== undefined && DateTo !== undefined && DateFrom.isAfter(DateTo))
+        throw new Error("The --from date must not be after the --to date.");
+    if (RecordDirectory !== undefined) {
+        if (Command !== "scrape" && Command !== "application")
+            throw new Error(`The --record option cannot be used with the ${Command} command.`);
+        if (!fs.existsSync(RecordDirectory))
+            fs.mkdirSync(RecordDirectory);
+        RecordedPages = readRecordedPages(RecordDirectory);
+    }
+    else if (Command === "replay") {
+        ReplayDirectory = CommandArgument;
+        if (!fs.existsSync(path.join(ReplayDirectory, RecordedPagesFileName)))
+            throw new Error(`No recorded pages were found in "${ReplayDirectory}".`);
+        RecordedPages = readRecordedPages(ReplayDirectory);
+    }
+}
+// Runs the command specified on the command line.
+async function runCommand(database, storage) {
+    if (Command === "changes") {
+        await listChanges(database, DateFrom, (DateTo === undefined) ? moment() : DateTo);
+    }
+    else if (Command === "addresses") {
+        await reportAddresses(database);
+    }
+    else if (Command === "export") {
+        await exportApplications(database, CommandArgument, DateFrom, DateTo);
+    }
+    else if (Command === "application") {
+        await refresh(CommandArgument, database, storage);
+    }
+    else if (Command === "replay") {
+        // Parse the same searches that were previously recorded.
+        console.log(`Replaying the pages recorded in "${ReplayDirectory}".`);
+        for (let search of RecordedPages.searches) {
+            if (search.applicationNumber !== undefined)
+                await refresh(search.applicationNumber, database, storage);
+            else
+                await parse(moment(search.dateFrom, "YYYY-MM-DD", true), moment(search.dateTo, "YYYY-MM-DD", true), database, storage);
         }
     }
-    console.log(`Stopped because reached ${pageNumber} pages.`);
+    else if (DateFrom !== undefined) {
+        // Obtain the paged results of a search for the specified date range.
+        await parse(DateFrom, DateTo, database, storage);
+    }
+    else {
+        // Obtain the paged results of a search for the last month.
+        await parse(moment().subtract(1, "months"), moment(), database, storage);
+        await pause(5000 + getRandom(0, 10) * 1000);
+        // Obtain the paged results of searches for older months that have not been crawled
+        // recently.
+        await backfill(database, storage);
+    }
 }
 // Parses the development applications.
 async function main() {
+    parseCommandLine(process.argv.slice(2));
     // Read the suburb names.
     SuburbNames = {};
     for (let line of fs.readFileSync("suburbnames.txt").toString().replace(/\r/g, "").trim().split("\n")) {
@@ -190,17 +1269,52 @@ async function main() {
     HundredNames = [];
     for (let hundredName of fs.readFileSync("hundrednames.txt").toString().replace(/\r/g, "").trim().split("\n"))
         HundredNames.push(hundredName.toUpperCase().trim());
+    // Read the approximate latitude and longitude of the centre of each suburb (used when exporting
+    // GeoJSON).
+    SuburbCentroids = {};
+    for (let line of fs.readFileSync("suburbcentroids.txt").toString().replace(/\r/g, "").trim().split("\n")) {
+        let centroidTokens = line.split(",");
+        SuburbCentroids[centroidTokens[0].toUpperCase().trim()] = { latitude: Number(centroidTokens[1]), longitude: Number(centroidTokens[2]) };
+    }
+    // Warn about any suburb that has no centroid (so that its development applications are not
+    // silently omitted from the GeoJSON).  The suburb is the canonical name from suburbnames.txt
+    // without its state and post code (as in the "address_suburb" column).
+    for (let suburbName of new Set(Object.values(SuburbNames))) {
+        let suburbMatch = /^(.*) ([A-Z]+) ([0-9]{4})$/.exec(suburbName);
+        let suburb = (suburbMatch === null) ? suburbName : suburbMatch[1];
+        if (SuburbCentroids[suburb] === undefined)
+            console.log(`Warning: the suburb "${suburb}" has no centroid in suburbcentroids.txt.`);
+    }
     // Ensure that the database exists.
-    let database = await initializeDatabase();
-    // Obtain the paged results of a search for the last month.
-    await parse(moment().subtract(1, "months"), moment(), database);
-    await sleep(5000 + getRandom(0, 10) * 1000);
-    // Obtain the paged results of a search for a randomly selected month (to build up over time
-    // a complete picture of all development applications, while avoiding overloading the web
-    // server with a lot of requests).
-    let monthCount = moment().year() * 12 + moment().month() - (1997 * 12 + 4); // first recorded development application is 16th April 1997
-    let randomMonth = getRandom(1, monthCount + 1);
-    await parse(moment().subtract(randomMonth + 1, "months"), moment().subtract(randomMonth, "months"), database);
-}
-main().then(() => console.log("Complete.")).catch(error => console.error(error));
-//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsK0ZBQStGO0FBQy9GLGlDQUFpQztBQUNqQyxFQUFFO0FBQ0YsZUFBZTtBQUNmLHFCQUFxQjtBQUVyQixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLG1DQUFtQztBQUNuQyxrREFBa0Q7QUFDbEQsbUNBQW1DO0FBQ25DLGlDQUFpQztBQUNqQywwQ0FBMEM7QUFFMUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO0FBRWxCLE1BQU0sMEJBQTBCLEdBQUcseUtBQXlLLENBQUM7QUFDN00sTUFBTSxjQUFjLEdBQUcsMEpBQTBKLENBQUM7QUFDbEwsTUFBTSxVQUFVLEdBQUcsOEJBQThCLENBQUM7QUFJbEQsdUJBQXVCO0FBRXZCLElBQUksV0FBVyxHQUFHLFNBQVMsQ0FBQztBQUM1QixJQUFJLFlBQVksR0FBRyxTQUFTLENBQUM7QUFFN0IsOEJBQThCO0FBRTlCLEtBQUssVUFBVSxrQkFBa0I7SUFDN0IsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNuQyxJQUFJLFFBQVEsR0FBRyxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsYUFBYSxDQUFDLENBQUM7UUFDbkQsUUFBUSxDQUFDLFNBQVMsQ0FBQyxHQUFHLEVBQUU7WUFDcEIsUUFBUSxDQUFDLEdBQUcsQ0FBQywwT0FBME8sQ0FBQyxDQUFDO1lBQ3pQLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUN0QixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELG1FQUFtRTtBQUVuRSxLQUFLLFVBQVUsU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0I7SUFDckQsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNuQyxJQUFJLFlBQVksR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLGtFQUFrRSxDQUFDLENBQUM7UUFDeEcsWUFBWSxDQUFDLEdBQUcsQ0FBQztZQUNiLHNCQUFzQixDQUFDLGlCQUFpQjtZQUN4QyxzQkFBc0IsQ0FBQyxPQUFPO1lBQzlCLHNCQUFzQixDQUFDLFdBQVc7WUFDbEMsc0JBQXNCLENBQUMsY0FBYztZQUNyQyxzQkFBc0IsQ0FBQyxVQUFVO1lBQ2pDLHNCQUFzQixDQUFDLFVBQVU7WUFDakMsc0JBQXNCLENBQUMsWUFBWTtZQUNuQyxJQUFJO1lBQ0osSUFBSTtTQUNQLEVBQUUsVUFBUyxLQUFLLEVBQUUsR0FBRztZQUNsQixJQUFJLEtBQUssRUFBRTtnQkFDUCxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNyQixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDakI7aUJBQU07Z0JBQ0gsWUFBWSxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUUscUJBQXFCO2dCQUMvQyxPQUFPLENBQUMsR0FBRyxDQUFDLDRCQUE0QixzQkFBc0IsQ0FBQyxpQkFBaUIscUJBQXFCLHNCQUFzQixDQUFDLE9BQU8scUJBQXFCLHNCQUFzQixDQUFDLFdBQVcsMEJBQTBCLHNCQUFzQixDQUFDLFlBQVksdUJBQXVCLENBQUMsQ0FBQztnQkFDaFIsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUUsNEJBQTRCO2FBQy9DO1FBQ0wsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCx1REFBdUQ7QUFFdkQsS0FBSyxVQUFVLFNBQVMsQ0FBQyxRQUFRLEVBQUUsc0JBQXNCO0lBQ3JELE9BQU8sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDbkMsSUFBSSxZQUFZLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQywrS0FBK0ssQ0FBQyxDQUFDO1FBQ3JOLFlBQVksQ0FBQyxHQUFHLENBQUMsQ0FBRSxzQkFBc0IsQ0FBQyxjQUFjLEVBQUUsc0JBQXNCLENBQUMsaUJBQWlCLENBQUUsRUFDcEcsVUFBUyxLQUFLLEVBQUUsR0FBRztZQUNmLElBQUksS0FBSyxFQUFFO2dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNqQjtpQkFBTTtnQkFDSCxZQUFZLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBRSxxQkFBcUI7Z0JBQy9DLE9BQU8sQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUNoQjtRQUNMLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsb0VBQW9FO0FBRXBFLFNBQVMsU0FBUyxDQUFDLE9BQWUsRUFBRSxPQUFlO0lBQy9DLE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7QUFDdkcsQ0FBQztBQUVELG1EQUFtRDtBQUVuRCxTQUFTLEtBQUssQ0FBQyxZQUFvQjtJQUMvQixPQUFPLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDO0FBQ3JFLENBQUM7QUFFRCxxRkFBcUY7QUFFckYsU0FBUyxhQUFhLENBQUMsT0FBZTtJQUNsQyw0RkFBNEY7SUFDNUYsdUZBQXVGO0lBQ3ZGLHlGQUF5RjtJQUN6RixzRkFBc0Y7SUFFdEYsT0FBTyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLGNBQWMsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ3hILElBQUksT0FBTyxLQUFLLEVBQUU7UUFDZCxPQUFPLE9BQU8sQ0FBQztJQUVuQiw0RkFBNEY7SUFDNUYsbUZBQW1GO0lBRW5GLElBQUksZ0JBQWdCLEdBQUcsT0FBTyxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQzdDLEtBQUssSUFBSSxXQUFXLElBQUksWUFBWSxFQUFFO1FBQ2xDLElBQUksZ0JBQWdCLENBQUMsV0FBVyxFQUFFLEtBQUssS0FBSyxHQUFHLFdBQVcsSUFBSSxnQkFBZ0IsQ0FBQyxRQUFRLENBQUMsTUFBTSxHQUFHLFdBQVcsQ0FBQyxFQUFFO1lBQzNHLE9BQU8sQ0FBQyxHQUFHLENBQUMsMkZBQTJGLE9BQU8sRUFBRSxDQUFDLENBQUM7WUFDbEgsT0FBTyxPQUFPLENBQUM7U0FDbEI7S0FDSjtJQUVELG9GQUFvRjtJQUNwRixzRkFBc0Y7SUFDdEYsNERBQTREO0lBRTVELElBQUksTUFBTSxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7SUFFaEMsSUFBSSxVQUFVLEdBQUcsSUFBSSxDQUFDO0lBQ3RCLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDckMsSUFBSSxlQUFlLEdBQUcsVUFBVSxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsRUFBRSxFQUFFLGFBQWEsRUFBRSxLQUFLLEVBQUUsVUFBVSxFQUFFLHFCQUFxQixFQUFFLGFBQWEsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUN2TixJQUFJLGVBQWUsS0FBSyxJQUFJLEVBQUU7WUFDMUIsVUFBVSxHQUFHLFdBQVcsQ0FBQyxlQUFlLENBQUMsQ0FBQztZQUMxQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUUsNENBQTRDO1lBQzNFLE1BQU07U0FDVDtLQUNKO0lBRUQsSUFBSSxVQUFVLEtBQUssSUFBSSxFQUFFLEVBQUcsNENBQTRDO1FBQ3BFLE9BQU8sQ0FBQyxHQUFHLENBQUMsb0ZBQW9GLE9BQU8sRUFBRSxDQUFDLENBQUM7UUFDM0csT0FBTyxPQUFPLENBQUM7S0FDbEI7SUFFRCx1RUFBdUU7SUFFdkUsSUFBSSxVQUFVLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztJQUN6QyxPQUFPLENBQUMsVUFBVSxHQUFHLENBQUMsQ0FBQyxVQUFVLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsVUFBVSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7QUFDaEYsQ0FBQztBQUVELG1FQUFtRTtBQUVuRSxLQUFLLFVBQVUsS0FBSyxDQUFDLFFBQXVCLEVBQUUsTUFBcUIsRUFBRSxRQUFRO0lBQ3pFLE9BQU8sQ0FBQyxHQUFHLENBQUMsNENBQTRDLFFBQVEsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLE9BQU8sTUFBTSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUM7SUFFNUgsSUFBSSxZQUFZLEdBQUcsa0JBQWtCLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDO0lBQ3JFLElBQUksVUFBVSxHQUFHLGtCQUFrQixDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztJQUVqRSxzRUFBc0U7SUFFdEUsSUFBSSxVQUFVLEdBQUcsQ0FBQyxDQUFDO0lBQ25CLE9BQU8sVUFBVSxFQUFFLEdBQUcsR0FBRyxFQUFFLEVBQUcsb0JBQW9CO1FBQzlDLElBQUksMEJBQTBCLEdBQUcsMEJBQTBCLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxVQUFVLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLFlBQVksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsVUFBVSxDQUFDLENBQUM7UUFDbkssT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsVUFBVSxLQUFLLDBCQUEwQixFQUFFLENBQUMsQ0FBQztRQUU1RSxJQUFJLElBQUksR0FBRyxNQUFNLE9BQU8sQ0FBQyxFQUFFLEdBQUcsRUFBRSwwQkFBMEIsRUFBRSxrQkFBa0IsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztRQUN6SCxNQUFNLEtBQUssQ0FBQyxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztRQUMzQyxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBRTNCLDRCQUE0QjtRQUU1QixLQUFLLElBQUksU0FBUyxJQUFJLENBQUMsQ0FBQyx3QkFBd0IsQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFO1lBQ3JELElBQUkseUJBQXlCLEdBQUcsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztZQUNuRixJQUFJLHlCQUF5QixLQUFLLFNBQVM7Z0JBQ3ZDLFNBQVM7WUFFYiw4Q0FBOEM7WUFFOUMsSUFBSSxTQUFTLEdBQUcsTUFBTSxPQUFPLENBQUMsRUFBRSxHQUFHLEVBQUUseUJBQXlCLEVBQUUsa0JBQWtCLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7WUFDN0gsSUFBSSxTQUFTLEdBQUcsT0FBTyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztZQUV4QyxJQUFJLE9BQU8sR0FBRyxhQUFhLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLElBQUksQ0FBQyxnQkFBZ0IsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7WUFDL0UsSUFBSSxpQkFBaUIsR0FBRyxFQUFFLENBQUM7WUFDM0IsSUFBSSxZQUFZLEdBQUcsTUFBTSxDQUFDLE9BQU8sRUFBRSxDQUFDO1lBQ3BDLElBQUksV0FBVyxHQUFHLEVBQUUsQ0FBQztZQUVyQixLQUFLLElBQUksU0FBUyxJQUFJLFNBQVMsQ0FBQyxnQ0FBZ0MsQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFO2dCQUNyRSxJQUFJLEdBQUcsR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDO2dCQUV0RSxJQUFJLEdBQUcsS0FBSyxXQUFXO29CQUNuQixpQkFBaUIsR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDO3FCQUNqRSxJQUFJLEdBQUcsS0FBSywyQkFBMkI7b0JBQ3hDLFlBQVksR0FBRyxNQUFNLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxJQUFJLEVBQUUsRUFBRSxXQUFXLEVBQUUsSUFBSSxDQUFDLENBQUM7cUJBQ3ZGLElBQUksR0FBRyxLQUFLLHFCQUFxQjtvQkFDbEMsV0FBVyxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxHQUFHLENBQUMsQ0FBQzthQUMzRjtZQUVELDZFQUE2RTtZQUU3RSxJQUFJLGlCQUFpQixLQUFLLEVBQUUsSUFBSSxpQkFBaUIsS0FBSyxTQUFTLElBQUksT0FBTyxLQUFLLEVBQUUsSUFBSSxPQUFPLEtBQUssU0FBUyxFQUFFO2dCQUN4RyxJQUFJLGNBQWMsR0FBRyxjQUFjLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxrQkFBa0IsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUM7Z0JBQzdGLElBQUksc0JBQXNCLEdBQUc7b0JBQ3pCLGlCQUFpQixFQUFFLGlCQUFpQjtvQkFDcEMsT0FBTyxFQUFFLE9BQU87b0JBQ2hCLFdBQVcsRUFBRSxXQUFXO29CQUN4QixjQUFjLEVBQUUsY0FBYztvQkFDOUIsVUFBVSxFQUFFLFVBQVU7b0JBQ3RCLFVBQVUsRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDO29CQUN6QyxZQUFZLEVBQUUsWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRTtpQkFDOUUsQ0FBQTtnQkFDRCxJQUFJLFdBQVcsR0FBRyxNQUFNLFNBQVMsQ0FBQyxRQUFRLEVBQUUsc0JBQXNCLENBQUMsQ0FBQztnQkFDcEUsSUFBSSxDQUFDLFdBQVcsRUFBRywwQ0FBMEM7b0JBQ3pELE1BQU0sU0FBUyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsQ0FBQyxDQUFDO2FBQ3pEO1NBQ0o7UUFFRCxxRUFBcUU7UUFFckUsSUFBSSxlQUFlLEdBQUcsQ0FBQyxDQUFDLENBQUMsMkJBQTJCLENBQUMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUM7UUFDbEUsSUFBSSxDQUFDLGVBQWUsRUFBRTtZQUNsQixPQUFPLENBQUMsR0FBRyxDQUFDLG9EQUFvRCxDQUFDLENBQUM7WUFDbEUsT0FBTztTQUNWO0tBQ0o7SUFFRCxPQUFPLENBQUMsR0FBRyxDQUFDLDJCQUEyQixVQUFVLFNBQVMsQ0FBQyxDQUFDO0FBQ2hFLENBQUM7QUFFRCx1Q0FBdUM7QUFFdkMsS0FBSyxVQUFVLElBQUk7SUFDZix5QkFBeUI7SUFFekIsV0FBVyxHQUFHLEVBQUUsQ0FBQztJQUNqQixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNsRyxJQUFJLFlBQVksR0FBRyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ2pELFdBQVcsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUM7S0FDNUY7SUFFRCwwQkFBMEI7SUFFMUIsWUFBWSxHQUFHLEVBQUUsQ0FBQztJQUNsQixLQUFLLElBQUksV0FBVyxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUM7UUFDeEcsWUFBWSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsV0FBVyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUV4RCxtQ0FBbUM7SUFFbkMsSUFBSSxRQUFRLEdBQUcsTUFBTSxrQkFBa0IsRUFBRSxDQUFDO0lBRTFDLDJEQUEyRDtJQUUzRCxNQUFNLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUEwQyxRQUFRLENBQUMsRUFBRSxNQUFNLEVBQUUsRUFBRSxRQUFRLENBQUMsQ0FBQztJQUN4RyxNQUFNLEtBQUssQ0FBQyxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztJQUU1Qyw0RkFBNEY7SUFDNUYseUZBQXlGO0lBQ3pGLGtDQUFrQztJQUVsQyxJQUFJLFVBQVUsR0FBRyxNQUFNLEVBQUUsQ0FBQyxJQUFJLEVBQUUsR0FBRyxFQUFFLEdBQUcsTUFBTSxFQUFFLENBQUMsS0FBSyxFQUFFLEdBQUcsQ0FBQyxJQUFJLEdBQUcsRUFBRSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUUsNERBQTREO0lBQ3pJLElBQUksV0FBVyxHQUFHLFNBQVMsQ0FBQyxDQUFDLEVBQUUsVUFBVSxHQUFHLENBQUMsQ0FBQyxDQUFBO0lBQzlDLE1BQU0sS0FBSyxDQUFDLE1BQU0sRUFBRSxDQUFDLFFBQVEsQ0FBQyxXQUFXLEdBQUcsQ0FBQyxFQUEwQyxRQUFRLENBQUMsRUFBRSxNQUFNLEVBQUUsQ0FBQyxRQUFRLENBQUMsV0FBVyxFQUEwQyxRQUFRLENBQUMsRUFBRSxRQUFRLENBQUMsQ0FBQztBQUNsTSxDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
+    let database = await initializeDatabase(DatabasePath);
+    let storage = createStorage(database);
+    try {
+        // Summarise the runs that scrape development applications (including validation issues).
+        if (Command === "scrape" || Command === "application" || Command === "replay")
+            RunSummary = { command: process.argv.slice(2).join(" ") || "scrape", dateStarted: moment().format("YYYY-MM-DD HH:mm:ss"), dateCompleted: null, pageCount: 0, applicationCount: 0, savedCount: 0, invalidCount: 0, layoutIssueCount: 0, issues: [] };
+        await runCommand(database, storage);
+        if (RunSummary !== undefined) {
+            RunSummary.dateCompleted = moment().format("YYYY-MM-DD HH:mm:ss");
+            await insertRunSummary(database, RunSummary);
+            console.log(`Parsed ${RunSummary.pageCount} page(s) of search results containing ${RunSummary.applicationCount} development application(s); saved ${RunSummary.savedCount}, with ${RunSummary.invalidCount} validation issue(s) and ${RunSummary.layoutIssueCount} layout issue(s) using ${RequestCount} request(s).`);
+            // Exit with a non-zero status if the layout of the council web site appears to have
+            // changed (so that the change is noticed).
+            if (RunSummary.layoutIssueCount > 0) {
+                console.error("The layout of the council web site appears to have changed.");
+                process.exitCode = 2;
+            }
+            // Similarly exit with a non-zero status if any of the pages being replayed were not
+            // recorded (so that an incomplete replay is not mistaken for a successful one).
+            if (RunSummary.issues.some(issue => issue.category === "missing")) {
+                console.error("Some of the pages being replayed were not recorded.");
+                process.exitCode = 3;
+            }
+        }
+    }
+    finally {
+        await storage.close();
+        await closeDatabase(database);
+    }
+}
+main().then(() => console.log("Complete.")).catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic2NyYXBlci5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNjcmFwZXIudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsK0ZBQStGO0FBQy9GLGlDQUFpQztBQUNqQyxFQUFFO0FBQ0YsZUFBZTtBQUNmLHFCQUFxQjtBQUVyQixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUM3Qix5QkFBeUI7QUFDekIsaUNBQWlDO0FBQ2pDLG1DQUFtQztBQUNuQyxrREFBa0Q7QUFDbEQsbUNBQW1DO0FBQ25DLGlDQUFpQztBQUNqQywwQ0FBMEM7QUFFMUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxDQUFDO0FBRWxCLE1BQU0sY0FBYyxHQUFHLHlCQUF5QixDQUFDO0FBQ2pELE1BQU0sMEJBQTBCLEdBQUcsd0pBQXdKLENBQUM7QUFDNUwsTUFBTSxjQUFjLEdBQUcsMEpBQTBKLENBQUM7QUFDbEwsTUFBTSxVQUFVLEdBQUcsOEJBQThCLENBQUM7QUFDbEQsTUFBTSxhQUFhLEdBQUcseUJBQXlCLENBQUM7QUFFaEQsTUFBTSxtQkFBbUIsR0FBRyxhQUFhLENBQUM7QUFFMUMsaUVBQWlFO0FBRWpFLE1BQU0sa0JBQWtCLEdBQUcsTUFBTSxDQUFDLFlBQVksRUFBRSxZQUFZLEVBQUUsSUFBSSxDQUFDLENBQUM7QUFFcEUsaUdBQWlHO0FBQ2pHLDRGQUE0RjtBQUU1RixNQUFNLG9CQUFvQixHQUFHLEdBQUcsQ0FBQztBQUVqQyxpR0FBaUc7QUFDakcsb0ZBQW9GO0FBQ3BGLDZCQUE2QjtBQUU3QixNQUFNLG1CQUFtQixHQUFHLElBQUksQ0FBQztBQUVqQyxnR0FBZ0c7QUFDaEcsZ0dBQWdHO0FBQ2hHLFdBQVc7QUFFWCxNQUFNLG1CQUFtQixHQUFHLElBQUksQ0FBQztBQUVqQyxrR0FBa0c7QUFDbEcsa0dBQWtHO0FBQ2xHLG1HQUFtRztBQUNuRyxrQ0FBa0M7QUFFbEMsTUFBTSxtQkFBbUIsR0FBRyxDQUFDLENBQUM7QUFDOUIsTUFBTSxpQkFBaUIsR0FBRyxJQUFJLENBQUM7QUFDL0IsTUFBTSxjQUFjLEdBQUcsS0FBSyxDQUFDO0FBRTdCLGlHQUFpRztBQUNqRywyRkFBMkY7QUFDM0Ysc0ZBQXNGO0FBRXRGLE1BQU0sYUFBYSxHQUFHO0lBQ2xCLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsQ0FBRSxVQUFVLEVBQUUsc0JBQXNCLEVBQUUsZUFBZSxDQUFFLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRTtJQUNwRyxFQUFFLE1BQU0sRUFBRSxlQUFlLEVBQUUsSUFBSSxFQUFFLENBQUUsZUFBZSxFQUFFLGtCQUFrQixFQUFFLG9CQUFvQixDQUFFLEVBQUUsTUFBTSxFQUFFLElBQUksRUFBRTtJQUM5RyxFQUFFLE1BQU0sRUFBRSxXQUFXLEVBQUUsSUFBSSxFQUFFLENBQUUsV0FBVyxFQUFFLGdCQUFnQixFQUFFLG1CQUFtQixDQUFFLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRTtJQUNwRyxFQUFFLE1BQU0sRUFBRSxrQkFBa0IsRUFBRSxJQUFJLEVBQUUsQ0FBRSxrQkFBa0IsRUFBRSxzQkFBc0IsRUFBRSxtQkFBbUIsRUFBRSxlQUFlLENBQUUsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFO0lBQ3pJLEVBQUUsTUFBTSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBRSxTQUFTLEVBQUUsY0FBYyxDQUFFLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRTtJQUN6RSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsSUFBSSxFQUFFLENBQUUsVUFBVSxFQUFFLHNCQUFzQixFQUFFLHVCQUF1QixDQUFFLEVBQUUsTUFBTSxFQUFFLEtBQUssRUFBRTtJQUM1RyxFQUFFLE1BQU0sRUFBRSxnQkFBZ0IsRUFBRSxJQUFJLEVBQUUsQ0FBRSxnQkFBZ0IsRUFBRSxtQkFBbUIsRUFBRSx5QkFBeUIsRUFBRSwwQkFBMEIsQ0FBRSxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUU7SUFDbEosRUFBRSxNQUFNLEVBQUUsY0FBYyxFQUFFLElBQUksRUFBRSxDQUFFLGNBQWMsRUFBRSxpQkFBaUIsRUFBRSx1QkFBdUIsRUFBRSwyQkFBMkIsRUFBRSx3QkFBd0IsQ0FBRSxFQUFFLE1BQU0sRUFBRSxJQUFJLEVBQUU7Q0FDeEssQ0FBQztBQUVGLDhGQUE4RjtBQUM5Riw0Q0FBNEM7QUFFNUMsTUFBTSxjQUFjLEdBQUc7SUFDbkIsZ0JBQWdCLEVBQUUsVUFBVTtJQUM1QixxQkFBcUIsRUFBRSxjQUFjO0lBQ3JDLG1CQUFtQixFQUFFLFlBQVk7SUFDakMsY0FBYyxFQUFFLFFBQVE7SUFDeEIsYUFBYSxFQUFFLE9BQU87SUFDdEIsZ0JBQWdCLEVBQUUsVUFBVTtJQUM1QixlQUFlLEVBQUUsU0FBUztJQUMxQixlQUFlLEVBQUUsU0FBUztJQUMxQixpQkFBaUIsRUFBRSxXQUFXO0lBQzlCLGFBQWEsRUFBRSxPQUFPO0lBQ3RCLHNCQUFzQixFQUFFLGVBQWU7Q0FDMUMsQ0FBQztBQUVGLGlGQUFpRjtBQUVqRixNQUFNLFdBQVcsR0FBRyxXQUFXLENBQUM7QUFDaEMsTUFBTSxlQUFlLEdBQUcsMkJBQTJCLENBQUM7QUFDcEQsTUFBTSxjQUFjLEdBQUcscUJBQXFCLENBQUM7QUFFN0MsZ0dBQWdHO0FBQ2hHLGVBQWU7QUFFZixNQUFNLGdCQUFnQixHQUFHLEdBQUcsQ0FBQztBQUU3QiwrRkFBK0Y7QUFFL0YsTUFBTSx3QkFBd0IsR0FBRyw4Q0FBOEMsQ0FBQztBQUloRix1QkFBdUI7QUFFdkIsSUFBSSxXQUFXLEdBQUcsU0FBUyxDQUFDO0FBQzVCLElBQUksWUFBWSxHQUFHLFNBQVMsQ0FBQztBQUM3QixJQUFJLGVBQWUsR0FBRyxTQUFTLENBQUM7QUFFaEMscUZBQXFGO0FBRXJGLElBQUksZUFBZSxHQUFXLFNBQVMsQ0FBQztBQUN4QyxJQUFJLGVBQWUsR0FBVyxTQUFTLENBQUM7QUFDeEMsSUFBSSxhQUFhLEdBQUcsU0FBUyxDQUFDO0FBRTlCLE1BQU0scUJBQXFCLEdBQUcsWUFBWSxDQUFDO0FBRTNDLHVFQUF1RTtBQUV2RSxJQUFJLFlBQVksR0FBRyxDQUFDLENBQUM7QUFDckIsSUFBSSxhQUFhLEdBQUcsb0JBQW9CLENBQUM7QUFDekMsSUFBSSxZQUFZLEdBQUcsbUJBQW1CLENBQUM7QUFDdkMsSUFBSSxZQUFZLEdBQUcsbUJBQW1CLENBQUM7QUFDdkMsSUFBSSxVQUFVLEdBQUcsaUJBQWlCLENBQUM7QUFDbkMsSUFBSSxlQUFlLEdBQUcsQ0FBQyxDQUFDO0FBRXhCLGlHQUFpRztBQUNqRyw2RUFBNkU7QUFFN0UsSUFBSSxPQUFPLEdBQUcsY0FBYyxDQUFDO0FBRTdCLGdHQUFnRztBQUNoRyw0REFBNEQ7QUFFNUQsSUFBSSxPQUFPLEdBQUcsUUFBUSxDQUFDO0FBQ3ZCLElBQUksZUFBZSxHQUFXLFNBQVMsQ0FBQztBQUN4QyxJQUFJLFFBQVEsR0FBa0IsU0FBUyxDQUFDO0FBQ3hDLElBQUksTUFBTSxHQUFrQixTQUFTLENBQUM7QUFDdEMsSUFBSSxZQUFZLEdBQUcsbUJBQW1CLENBQUM7QUFDdkMsSUFBSSxRQUFRLEdBQUcsS0FBSyxDQUFDO0FBQ3JCLElBQUksV0FBVyxHQUFHLFFBQVEsQ0FBQztBQUMzQixJQUFJLFVBQVUsR0FBVyxTQUFTLENBQUM7QUFFbkMsNkZBQTZGO0FBQzdGLGdHQUFnRztBQUNoRyx5QkFBeUI7QUFFekIsSUFBSSxVQUFVLEdBQUcsU0FBUyxDQUFDO0FBRTNCLDhGQUE4RjtBQUM5RiwrRkFBK0Y7QUFDL0YsNEZBQTRGO0FBQzVGLDZGQUE2RjtBQUU3RixNQUFNLFVBQVUsR0FBbUM7SUFDL0MsS0FBSyxFQUFDLFFBQVEsRUFBQyxFQUFFLENBQUMsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLDBPQUEwTyxDQUFDO0lBQ3BSLEtBQUssRUFBQyxRQUFRLEVBQUMsRUFBRSxDQUFDLE1BQU0sTUFBTSxDQUFDLFFBQVEsRUFBRSw0TkFBNE4sQ0FBQztJQUN0USxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUU7UUFDYixNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsOEpBQThKLENBQUMsQ0FBQztRQUN2TCxNQUFNLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsYUFBYSxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBQ3RHLENBQUM7SUFDRCxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUU7UUFDYixNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsNklBQTZJLENBQUMsQ0FBQztRQUN0SyxNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsMkZBQTJGLENBQUMsQ0FBQztJQUN4SCxDQUFDO0lBQ0QsS0FBSyxFQUFDLFFBQVEsRUFBQyxFQUFFLENBQUMsTUFBTSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLE1BQU0sQ0FBQyxJQUFJLENBQUMsY0FBYyxDQUFDLENBQUM7SUFDeEYsS0FBSyxFQUFDLFFBQVEsRUFBQyxFQUFFLENBQUMsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLG1LQUFtSyxDQUFDO0lBQzdNLEtBQUssRUFBQyxRQUFRLEVBQUMsRUFBRTtRQUNiLE1BQU0sTUFBTSxDQUFDLFFBQVEsRUFBRSwwVUFBMFUsQ0FBQyxDQUFDO1FBQ25XLE1BQU0sTUFBTSxDQUFDLFFBQVEsRUFBRSxtSUFBbUksQ0FBQyxDQUFDO0lBQ2hLLENBQUM7Q0FDSixDQUFDO0FBRUYsOEZBQThGO0FBQzlGLGlHQUFpRztBQUNqRyxtQkFBbUI7QUFFbkIsS0FBSyxVQUFVLGtCQUFrQixDQUFDLFlBQW9CO0lBQ2xELElBQUksUUFBUSxFQUFFO1FBQ1YsSUFBSSxrQkFBa0IsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxNQUFNLEVBQUUsRUFBRSxXQUFXLE9BQU8sQ0FBQyxHQUFHLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDekcsSUFBSSxFQUFFLENBQUMsVUFBVSxDQUFDLFlBQVksQ0FBQztZQUMzQixFQUFFLENBQUMsWUFBWSxDQUFDLFlBQVksRUFBRSxrQkFBa0IsQ0FBQyxDQUFDO1FBQ3RELE9BQU8sQ0FBQyxHQUFHLENBQUMsMENBQTBDLFlBQVksSUFBSSxDQUFDLENBQUM7UUFDeEUsWUFBWSxHQUFHLGtCQUFrQixDQUFDO0tBQ3JDO0lBRUQsSUFBSSxRQUFRLEdBQUcsSUFBSSxPQUFPLENBQUMsUUFBUSxDQUFDLFlBQVksQ0FBQyxDQUFDO0lBQ2xELElBQUksT0FBTyxHQUFHLENBQUMsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLHFCQUFxQixDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUM7SUFDM0UsT0FBTyxPQUFPLEdBQUcsVUFBVSxDQUFDLE1BQU0sRUFBRSxPQUFPLEVBQUUsRUFBRTtRQUMzQyxNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsbUJBQW1CLENBQUMsQ0FBQztRQUM1QyxNQUFNLFVBQVUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUNwQyxNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUseUJBQXlCLE9BQU8sR0FBRyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQy9ELE1BQU0sTUFBTSxDQUFDLFFBQVEsRUFBRSxRQUFRLENBQUMsQ0FBQztLQUNwQztJQUNELE9BQU8sUUFBUSxDQUFDO0FBQ3BCLENBQUM7QUFFRCwyRkFBMkY7QUFFM0YsS0FBSyxVQUFVLGFBQWEsQ0FBQyxRQUFRO0lBQ2pDLE1BQU0sSUFBSSxPQUFPLENBQUMsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDbEMsUUFBUSxDQUFDLEtBQUssQ0FBQyxVQUFTLEtBQUs7WUFDekIsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCOztnQkFDRyxPQUFPLEVBQUUsQ0FBQztRQUNsQixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0lBQ0gsSUFBSSxRQUFRLElBQUksRUFBRSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDO1FBQzVDLEVBQUUsQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0FBQ3pDLENBQUM7QUFFRCwwRkFBMEY7QUFDMUYsNENBQTRDO0FBRTVDLEtBQUssVUFBVSxNQUFNLENBQUMsUUFBUSxFQUFFLEdBQVcsRUFBRSxhQUFvQixFQUFFO0lBQy9ELE9BQU8sSUFBSSxPQUFPLENBQU0sQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDeEMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsVUFBVSxFQUFFLFVBQVMsS0FBSztZQUN4QyxJQUFJLEtBQUssRUFBRTtnQkFDUCxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNyQixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDakI7O2dCQUNHLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN0QixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELDBGQUEwRjtBQUUxRixLQUFLLFVBQVUsTUFBTSxDQUFDLFFBQVEsRUFBRSxHQUFXLEVBQUUsYUFBb0IsRUFBRTtJQUMvRCxPQUFPLElBQUksT0FBTyxDQUFNLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ3hDLFFBQVEsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLFVBQVUsRUFBRSxVQUFTLEtBQUssRUFBRSxHQUFHO1lBQzdDLElBQUksS0FBSyxFQUFFO2dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7Z0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQzthQUNqQjs7Z0JBQ0csT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3JCLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsaURBQWlEO0FBRWpELEtBQUssVUFBVSxNQUFNLENBQUMsUUFBUSxFQUFFLEdBQVcsRUFBRSxhQUFvQixFQUFFO0lBQy9ELE9BQU8sSUFBSSxPQUFPLENBQVEsQ0FBQyxPQUFPLEVBQUUsTUFBTSxFQUFFLEVBQUU7UUFDMUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEVBQUUsVUFBVSxFQUFFLFVBQVMsS0FBSyxFQUFFLElBQUk7WUFDOUMsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCOztnQkFDRyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDdEIsQ0FBQyxDQUFDLENBQUM7SUFDUCxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0Ysc0VBQXNFO0FBRXRFLEtBQUssVUFBVSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsU0FBaUIsRUFBRSxPQUFpQjtJQUMzRSxJQUFJLFdBQVcsR0FBRyxDQUFDLE1BQU0sTUFBTSxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsU0FBUyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUVyRyxLQUFLLElBQUksTUFBTSxJQUFJLE9BQU87UUFDdEIsSUFBSSxXQUFXLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUM7WUFDL0IsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLGdCQUFnQixTQUFTLGlCQUFpQixNQUFNLEtBQUssQ0FBQyxNQUFNLEtBQUssd0JBQXdCLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDO0FBQ3RKLENBQUM7QUFFRCwwRkFBMEY7QUFFMUYsU0FBUyxLQUFLLENBQUMsc0JBQXNCO0lBQ2pDLElBQUksR0FBRyxHQUFHO1FBQ04saUJBQWlCLEVBQUUsc0JBQXNCLENBQUMsaUJBQWlCO1FBQzNELE9BQU8sRUFBRSxzQkFBc0IsQ0FBQyxPQUFPO1FBQ3ZDLFdBQVcsRUFBRSxzQkFBc0IsQ0FBQyxXQUFXO1FBQy9DLFFBQVEsRUFBRSxzQkFBc0IsQ0FBQyxjQUFjO1FBQy9DLFdBQVcsRUFBRSxzQkFBc0IsQ0FBQyxVQUFVO1FBQzlDLFlBQVksRUFBRSxzQkFBc0IsQ0FBQyxVQUFVO1FBQy9DLGFBQWEsRUFBRSxzQkFBc0IsQ0FBQyxZQUFZO0tBQ3JELENBQUM7SUFDRixLQUFLLElBQUksWUFBWSxJQUFJLGFBQWE7UUFDbEMsR0FBRyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsR0FBRyxzQkFBc0IsQ0FBQyxPQUFPLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ25GLEtBQUssSUFBSSxNQUFNLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUM7UUFDMUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxHQUFHLHNCQUFzQixDQUFDLGdCQUFnQixDQUFDLGNBQWMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO0lBQ2xGLE9BQU8sR0FBRyxDQUFDO0FBQ2YsQ0FBQztBQUVELHNEQUFzRDtBQUV0RCxTQUFTLFFBQVEsQ0FBQyxzQkFBc0IsRUFBRSxXQUFtQjtJQUN6RCxPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sUUFBUSxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLE9BQU8sbUJBQW1CLHNCQUFzQixDQUFDLGlCQUFpQixxQkFBcUIsc0JBQXNCLENBQUMsT0FBTyxxQkFBcUIsc0JBQXNCLENBQUMsV0FBVywwQkFBMEIsc0JBQXNCLENBQUMsWUFBWSxXQUFXLFdBQVcsR0FBRyxDQUFDLENBQUM7QUFDclQsQ0FBQztBQWNELGdHQUFnRztBQUNoRyxrR0FBa0c7QUFDbEcsb0RBQW9EO0FBRXBELE1BQU0sYUFBYTtJQUlmLFlBQVksUUFBUTtRQUZaLGVBQVUsR0FBRyxFQUFFLENBQUM7UUFHcEIsSUFBSSxDQUFDLFFBQVEsR0FBRyxRQUFRLENBQUM7SUFDN0IsQ0FBQztJQUVELGlGQUFpRjtJQUV6RSxLQUFLLENBQUMsR0FBRyxDQUFDLEdBQVcsRUFBRSxVQUFpQjtRQUM1QyxJQUFJLElBQUksQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLEtBQUssU0FBUztZQUNsQyxJQUFJLENBQUMsVUFBVSxDQUFDLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxRQUFRLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3RELElBQUksWUFBWSxHQUFHLElBQUksQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDeEMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtZQUNuQyxZQUFZLENBQUMsR0FBRyxDQUFDLFVBQVUsRUFBRSxVQUFTLEtBQUs7Z0JBQ3ZDLElBQUksS0FBSyxFQUFFO29CQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7b0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztpQkFDakI7O29CQUNHLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQztZQUN0QixDQUFDLENBQUMsQ0FBQztRQUNQLENBQUMsQ0FBQyxDQUFDO0lBQ1AsQ0FBQztJQUVELEtBQUssQ0FBQyxjQUFjLENBQUMsaUJBQXlCO1FBQzFDLE9BQU8sTUFBTSxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxvREFBb0QsRUFBRSxDQUFFLGlCQUFpQixDQUFFLENBQUMsQ0FBQztJQUNwSCxDQUFDO0lBRUQsS0FBSyxDQUFDLGVBQWUsQ0FBQyxzQkFBc0I7UUFDeEMsSUFBSSxHQUFHLEdBQUcsS0FBSyxDQUFDLHNCQUFzQixDQUFDLENBQUM7UUFDeEMsTUFBTSxJQUFJLENBQUMsYUFBYSxDQUFDLE1BQU0sSUFBSSxDQUFDLGNBQWMsQ0FBQyxzQkFBc0IsQ0FBQyxpQkFBaUIsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBRW5HLElBQUksT0FBTyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDL0IsTUFBTSxJQUFJLENBQUMsR0FBRyxDQUFDLGtDQUFrQyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsSUFBSSxNQUFNLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsYUFBYSxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFFM0wsd0ZBQXdGO1FBQ3hGLHNEQUFzRDtRQUV0RCxNQUFNLElBQUksQ0FBQyxHQUFHLENBQUMseURBQXlELEVBQUUsQ0FBRSxHQUFHLENBQUMsaUJBQWlCLENBQUUsQ0FBQyxDQUFDO1FBQ3JHLEtBQUssSUFBSSxHQUFHLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxXQUFXLENBQUM7WUFDM0QsTUFBTSxJQUFJLENBQUMsR0FBRyxDQUFDLDBEQUEwRCxFQUFFLENBQUUsR0FBRyxDQUFDLGlCQUFpQixFQUFFLEdBQUcsRUFBRSxzQkFBc0IsQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLEVBQUUsR0FBRyxDQUFDLFlBQVksQ0FBRSxDQUFDLENBQUM7UUFFMUssUUFBUSxDQUFDLHNCQUFzQixFQUFFLGNBQWMsQ0FBQyxDQUFDO0lBQ3JELENBQUM7SUFFRCw2RkFBNkY7SUFDN0YsMkZBQTJGO0lBQzNGLG1FQUFtRTtJQUUzRCxLQUFLLENBQUMsYUFBYSxDQUFDLFdBQVcsRUFBRSxHQUFHO1FBQ3hDLElBQUksV0FBVyxLQUFLLFNBQVM7WUFDekIsT0FBTztRQUVYLElBQUksTUFBTSxHQUFHLENBQUUsU0FBUyxFQUFFLGFBQWEsRUFBRSxlQUFlLENBQUUsQ0FBQyxNQUFNLENBQUMsYUFBYSxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsRUFBRSxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDO1FBQzFILEtBQUssSUFBSSxLQUFLLElBQUksTUFBTSxFQUFFO1lBQ3RCLElBQUksUUFBUSxHQUFHLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxLQUFLLFNBQVMsSUFBSSxXQUFXLENBQUMsS0FBSyxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQzNHLElBQUksUUFBUSxHQUFHLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxLQUFLLFNBQVMsSUFBSSxHQUFHLENBQUMsS0FBSyxDQUFDLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxDQUFDO1lBQ25GLElBQUksUUFBUSxLQUFLLFFBQVE7Z0JBQ3JCLFNBQVM7WUFFYixNQUFNLElBQUksQ0FBQyxHQUFHLENBQUMsbURBQW1ELEVBQUUsQ0FBRSxHQUFHLENBQUMsaUJBQWlCLEVBQUUsS0FBSyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsR0FBRyxDQUFDLFlBQVksQ0FBRSxDQUFDLENBQUM7WUFDNUksT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLFFBQVEsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxTQUFTLG1CQUFtQixHQUFHLENBQUMsaUJBQWlCLE1BQU0sS0FBSyxXQUFXLFFBQVEsV0FBVyxRQUFRLEtBQUssQ0FBQyxDQUFDO1NBQzNKO0lBQ0wsQ0FBQztJQUVELEtBQUssQ0FBQyxVQUFVO1FBQ1osTUFBTSxNQUFNLENBQUMsSUFBSSxDQUFDLFFBQVEsRUFBRSxtQkFBbUIsQ0FBQyxDQUFDO0lBQ3JELENBQUM7SUFFRCxLQUFLLENBQUMsUUFBUTtRQUNWLE1BQU0sTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUUsUUFBUSxDQUFDLENBQUM7SUFDMUMsQ0FBQztJQUVELEtBQUssQ0FBQyxLQUFLO1FBQ1AsS0FBSyxJQUFJLEdBQUcsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUM7WUFDeEMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFFLHFCQUFxQjtRQUMzRCxJQUFJLENBQUMsVUFBVSxHQUFHLEVBQUUsQ0FBQztJQUN6QixDQUFDO0NBQ0o7QUFFRCxpR0FBaUc7QUFDakcsOEZBQThGO0FBQzlGLCtGQUErRjtBQUMvRiw4RkFBOEY7QUFDOUYsMERBQTBEO0FBRTFELE1BQU0sV0FBVztJQU9iLFlBQVksUUFBZ0IsRUFBRSxNQUFjO1FBSnBDLFVBQUssR0FBYSxFQUFFLENBQUM7UUFDckIsaUJBQVksR0FBRyxFQUFFLENBQUM7UUFDbEIscUJBQWdCLEdBQUcsS0FBSyxDQUFDO1FBRzdCLElBQUksQ0FBQyxRQUFRLEdBQUcsUUFBUSxDQUFDO1FBQ3pCLElBQUksQ0FBQyxNQUFNLEdBQUcsTUFBTSxDQUFDO0lBQ3pCLENBQUM7SUFFRCwyRkFBMkY7SUFDM0YsNkZBQTZGO0lBQzdGLDRDQUE0QztJQUVwQyxNQUFNLENBQUMsa0JBQWtCO1FBQzdCLElBQUksT0FBTyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsT0FBTyxFQUFFLEVBQUUsRUFBRSxnQkFBZ0IsRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsTUFBTSxLQUFLLG1CQUFtQixDQUFDLENBQUM7UUFDekgsT0FBTyxDQUFFLHVFQUF1RSxDQUFFLENBQUMsTUFBTSxDQUNyRixPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsNkNBQTZDLE1BQU0sSUFBSSxDQUFDLE1BQU0sS0FBSyx3QkFBd0IsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQzNJLENBQUUsaUpBQWlKLENBQUUsQ0FBQyxDQUFDO0lBQy9KLENBQUM7SUFFRCwyQ0FBMkM7SUFFbkMsTUFBTSxDQUFDLGNBQWMsQ0FBQyxLQUFLO1FBQy9CLElBQUksS0FBSyxLQUFLLFNBQVMsSUFBSSxLQUFLLEtBQUssSUFBSTtZQUNyQyxPQUFPLE1BQU0sQ0FBQztRQUNsQixJQUFJLE9BQU8sS0FBSyxLQUFLLFFBQVE7WUFDekIsT0FBTyxLQUFLLENBQUMsUUFBUSxFQUFFLENBQUM7UUFDNUIsT0FBTyxJQUFJLEtBQUssQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUM7SUFDdkQsQ0FBQztJQUVELEtBQUssQ0FBQyxjQUFjLENBQUMsaUJBQXlCO1FBQzFDLE9BQU8sSUFBSSxDQUFDLFlBQVksQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUUsNERBQTREO0lBQzlHLENBQUM7SUFFRCxLQUFLLENBQUMsZUFBZSxDQUFDLHNCQUFzQjtRQUN4QyxJQUFJLEdBQUcsR0FBRyxLQUFLLENBQUMsc0JBQXNCLENBQUMsQ0FBQztRQUN4QyxJQUFJLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBQyxHQUFHLEdBQUcsQ0FBQztRQUUvQyxJQUFJLElBQUksQ0FBQyxNQUFNLEtBQUssUUFBUTtZQUN4QixJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxFQUFFLEdBQUcsRUFBRSxFQUFFLE1BQU0sRUFBRSxzQkFBc0IsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQzthQUN2RztZQUNELElBQUksT0FBTyxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7WUFDL0IsSUFBSSxnQkFBZ0IsR0FBRyxXQUFXLENBQUMsY0FBYyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDO1lBQ3pFLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLHFCQUFxQixPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxhQUFhLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsY0FBYyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxtREFBbUQsT0FBTyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sS0FBSyxtQkFBbUIsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEdBQUcsTUFBTSxlQUFlLE1BQU0sRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQztZQUN4VCxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxxREFBcUQsZ0JBQWdCLEdBQUcsQ0FBQyxDQUFDO1lBQzFGLEtBQUssSUFBSSxHQUFHLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxXQUFXLENBQUM7Z0JBQzNELElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLGlGQUFpRixnQkFBZ0IsS0FBSyxXQUFXLENBQUMsY0FBYyxDQUFDLEdBQUcsQ0FBQyxLQUFLLFdBQVcsQ0FBQyxjQUFjLENBQUMsc0JBQXNCLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEtBQUssV0FBVyxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQzNSO1FBRUQsUUFBUSxDQUFDLHNCQUFzQixFQUFFLElBQUksSUFBSSxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7SUFDM0QsQ0FBQztJQUVELEtBQUssQ0FBQyxVQUFVO1FBQ1osSUFBSSxDQUFDLEtBQUssR0FBRyxFQUFFLENBQUM7SUFDcEIsQ0FBQztJQUVELEtBQUssQ0FBQyxRQUFRO1FBQ1YsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksQ0FBQyxRQUFRLEVBQUU7WUFDcEMsSUFBSSxLQUFLLEdBQUcsQ0FBQyxJQUFJLENBQUMsTUFBTSxLQUFLLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFFLFFBQVEsQ0FBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUUsU0FBUyxDQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQztZQUVsRyxxRkFBcUY7WUFDckYsb0ZBQW9GO1lBQ3BGLGtEQUFrRDtZQUVsRCxJQUFJLElBQUksQ0FBQyxNQUFNLEtBQUssS0FBSyxJQUFJLENBQUMsSUFBSSxDQUFDLGdCQUFnQixFQUFFO2dCQUNqRCxLQUFLLEdBQUcsV0FBVyxDQUFDLGtCQUFrQixFQUFFLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUN2RCxJQUFJLENBQUMsZ0JBQWdCLEdBQUcsSUFBSSxDQUFDO2FBQ2hDO1lBRUQsRUFBRSxDQUFDLGNBQWMsQ0FBQyxJQUFJLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7U0FDN0Q7UUFDRCxJQUFJLENBQUMsS0FBSyxHQUFHLEVBQUUsQ0FBQztJQUNwQixDQUFDO0lBRUQsS0FBSyxDQUFDLEtBQUs7SUFDWCxDQUFDO0NBQ0o7QUFFRCwrRkFBK0Y7QUFDL0YsaUJBQWlCO0FBRWpCLFNBQVMsYUFBYSxDQUFDLFFBQVE7SUFDM0IsSUFBSSxXQUFXLEtBQUssUUFBUTtRQUN4QixPQUFPLElBQUksYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ3ZDLE9BQU8sSUFBSSxXQUFXLENBQUMsQ0FBQyxVQUFVLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFFBQVEsV0FBVyxFQUFFLENBQUMsQ0FBQyxDQUFDLFVBQVUsRUFBRSxXQUFXLENBQUMsQ0FBQztBQUN6RyxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLHdDQUF3QztBQUV4QyxLQUFLLFVBQVUsVUFBVSxDQUFDLFFBQVEsRUFBRSxRQUF1QixFQUFFLE1BQXFCO0lBQzlFLE9BQU8sTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLHNJQUFzSSxFQUFFLENBQUUsUUFBUSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFFLENBQUMsQ0FBQztBQUMxTyxDQUFDO0FBRUQsNkZBQTZGO0FBQzdGLDhEQUE4RDtBQUU5RCxLQUFLLFVBQVUsc0JBQXNCLENBQUMsUUFBUTtJQUMxQyxPQUFPLE1BQU0sTUFBTSxDQUFDLFFBQVEsRUFBRSx3T0FBd08sQ0FBQyxDQUFDO0FBQzVRLENBQUM7QUFFRCw2RkFBNkY7QUFDN0YsMERBQTBEO0FBRTFELEtBQUssVUFBVSxPQUFPLENBQUMsUUFBUSxFQUFFLFFBQXVCLEVBQUUsTUFBcUI7SUFDM0UsSUFBSSxZQUFZLEdBQUcsQ0FBQyxRQUFRLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUNuRixJQUFJLFVBQVUsR0FBRyxDQUFDLE1BQU0sS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxDQUFDO0lBQzdFLE9BQU8sTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLHNKQUFzSixFQUFFLENBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxVQUFVLEVBQUUsVUFBVSxDQUFFLENBQUMsQ0FBQztBQUNsUCxDQUFDO0FBRUQseUZBQXlGO0FBRXpGLEtBQUssVUFBVSxjQUFjLENBQUMsUUFBUTtJQUNsQyxJQUFJLFdBQVcsR0FBRyxFQUFFLENBQUM7SUFDckIsS0FBSyxJQUFJLEdBQUcsSUFBSSxNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsOEJBQThCLENBQUM7UUFDbEUsV0FBVyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsR0FBRyxHQUFHLENBQUM7SUFDakMsT0FBTyxXQUFXLENBQUM7QUFDdkIsQ0FBQztBQUVELGtEQUFrRDtBQUVsRCxLQUFLLFVBQVUsaUJBQWlCLENBQUMsUUFBUSxFQUFFLFlBQVk7SUFDbkQsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLHVFQUF1RSxFQUFFO1FBQzVGLFlBQVksQ0FBQyxLQUFLO1FBQ2xCLFlBQVksQ0FBQyxTQUFTO1FBQ3RCLFlBQVksQ0FBQyxPQUFPO1FBQ3BCLFlBQVksQ0FBQyxNQUFNO1FBQ25CLFlBQVksQ0FBQyxnQkFBZ0I7UUFDN0IsWUFBWSxDQUFDLGlCQUFpQjtRQUM5QixZQUFZLENBQUMsWUFBWTtRQUN6QixZQUFZLENBQUMsY0FBYztLQUM5QixDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsa0dBQWtHO0FBQ2xHLGdCQUFnQjtBQUVoQixLQUFLLFVBQVUsYUFBYSxDQUFDLFFBQVEsRUFBRSxHQUFXO0lBQzlDLE9BQU8sTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLDRDQUE0QyxFQUFFLENBQUUsR0FBRyxDQUFFLENBQUMsQ0FBQztBQUN6RixDQUFDO0FBRUQsOEZBQThGO0FBQzlGLDJDQUEyQztBQUUzQyxLQUFLLFVBQVUsZ0JBQWdCLENBQUMsUUFBUSxFQUFFLEdBQVcsRUFBRSxJQUFZLEVBQUUsWUFBb0IsRUFBRSxJQUFZO0lBQ25HLE1BQU0sTUFBTSxDQUFDLFFBQVEsRUFBRSw0SEFBNEgsRUFBRTtRQUNqSixHQUFHO1FBQ0gsR0FBRztRQUNILElBQUk7UUFDSixZQUFZO1FBQ1osSUFBSTtRQUNKLE1BQU0sRUFBRSxDQUFDLE1BQU0sQ0FBQyxxQkFBcUIsQ0FBQztLQUN6QyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsZ0ZBQWdGO0FBRWhGLEtBQUssVUFBVSxpQ0FBaUMsQ0FBQyxRQUFRLEVBQUUsR0FBVyxFQUFFLGlCQUF5QjtJQUM3RixNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsaUVBQWlFLEVBQUUsQ0FBRSxpQkFBaUIsRUFBRSxHQUFHLENBQUUsQ0FBQyxDQUFDO0FBQzFILENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsOEZBQThGO0FBQzlGLDJEQUEyRDtBQUUzRCxLQUFLLFVBQVUsb0JBQW9CLENBQUMsUUFBUSxFQUFFLE9BQWdCLEVBQUUsR0FBVztJQUN2RSxJQUFJLFVBQVUsR0FBRyxNQUFNLGFBQWEsQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUM7SUFDcEQsSUFBSSxVQUFVLEtBQUssU0FBUyxJQUFJLFVBQVUsQ0FBQyxpQkFBaUIsS0FBSyxJQUFJO1FBQ2pFLE9BQU8sS0FBSyxDQUFDO0lBQ2pCLElBQUksR0FBRyxHQUFHLE1BQU0sT0FBTyxDQUFDLGNBQWMsQ0FBQyxVQUFVLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUNyRSxPQUFPLEdBQUcsS0FBSyxTQUFTO1FBQ3BCLENBQUUsR0FBRyxDQUFDLFdBQVcsRUFBRSxHQUFHLENBQUMsYUFBYSxFQUFFLEdBQUcsQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLGFBQWEsQ0FBRSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssS0FBSyxJQUFJLElBQUksS0FBSyxLQUFLLFNBQVMsSUFBSSxLQUFLLEtBQUssRUFBRSxDQUFDLENBQUM7QUFDdEosQ0FBQztBQUVELDhGQUE4RjtBQUU5RixLQUFLLFVBQVUsZ0JBQWdCLENBQUMsUUFBUSxFQUFFLFVBQVU7SUFDaEQsSUFBSSxTQUFTLEdBQUcsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLDhPQUE4TyxFQUFFO1FBQ25SLFVBQVUsQ0FBQyxPQUFPO1FBQ2xCLFVBQVUsQ0FBQyxXQUFXO1FBQ3RCLFVBQVUsQ0FBQyxhQUFhO1FBQ3hCLFVBQVUsQ0FBQyxTQUFTO1FBQ3BCLFVBQVUsQ0FBQyxnQkFBZ0I7UUFDM0IsVUFBVSxDQUFDLFVBQVU7UUFDckIsVUFBVSxDQUFDLFlBQVk7UUFDdkIsVUFBVSxDQUFDLGdCQUFnQjtRQUMzQixZQUFZO1FBQ1osQ0FBQyxVQUFVLENBQUMsZ0JBQWdCLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztLQUM1QyxDQUFDLENBQUM7SUFFSCxLQUFLLElBQUksS0FBSyxJQUFJLFVBQVUsQ0FBQyxNQUFNO1FBQy9CLE1BQU0sTUFBTSxDQUFDLFFBQVEsRUFBRSxpREFBaUQsRUFBRSxDQUFFLFNBQVMsQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLFFBQVEsRUFBRSxLQUFLLENBQUMsaUJBQWlCLEVBQUUsS0FBSyxDQUFDLEdBQUcsRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFFLENBQUMsQ0FBQztBQUMzSyxDQUFDO0FBRUQsb0VBQW9FO0FBRXBFLFNBQVMsU0FBUyxDQUFDLE9BQWUsRUFBRSxPQUFlO0lBQy9DLE9BQU8sSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7QUFDdkcsQ0FBQztBQUVELG1EQUFtRDtBQUVuRCxTQUFTLEtBQUssQ0FBQyxZQUFvQjtJQUMvQixPQUFPLElBQUksT0FBTyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sRUFBRSxZQUFZLENBQUMsQ0FBQyxDQUFDO0FBQ3JFLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0Ysc0RBQXNEO0FBRXRELFNBQVMsaUJBQWlCLENBQUMsU0FBaUI7SUFDeEMsSUFBSSxhQUFhLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUscUJBQXFCLENBQUMsQ0FBQztJQUNoRSxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxhQUFhLENBQUM7UUFDN0IsT0FBTyxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLENBQUM7SUFDckQsT0FBTyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUUsUUFBUSxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsRUFBRSxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUUsRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsYUFBYSxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxDQUFDO0FBQzNILENBQUM7QUFFRCw4REFBOEQ7QUFFOUQsU0FBUyxrQkFBa0I7SUFDdkIsRUFBRSxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGVBQWUsRUFBRSxxQkFBcUIsQ0FBQyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsYUFBYSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ2hILENBQUM7QUFFRCw0RkFBNEY7QUFDNUYscUVBQXFFO0FBRXJFLFNBQVMsWUFBWSxDQUFDLE1BQU07SUFDeEIsSUFBSSxDQUFDLGFBQWEsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLGNBQWMsQ0FBQyxFQUFFLENBQUMsY0FBYyxDQUFDLFFBQVEsS0FBSyxNQUFNLENBQUMsUUFBUSxJQUFJLGNBQWMsQ0FBQyxNQUFNLEtBQUssTUFBTSxDQUFDLE1BQU0sSUFBSSxjQUFjLENBQUMsaUJBQWlCLEtBQUssTUFBTSxDQUFDLGlCQUFpQixDQUFDO1FBQ3ZNLGFBQWEsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ3hDLGtCQUFrQixFQUFFLENBQUM7QUFDekIsQ0FBQztBQUVELGlHQUFpRztBQUNqRyxrR0FBa0c7QUFDbEcsd0ZBQXdGO0FBRXhGLFNBQVMsa0JBQWtCLENBQUMsR0FBVztJQUNuQyxPQUFPLEdBQUcsQ0FBQyxPQUFPLENBQUMsZ0NBQWdDLEVBQUUsRUFBRSxDQUFDLENBQUM7QUFDN0QsQ0FBQztBQUVELGlHQUFpRztBQUNqRyxnRUFBZ0U7QUFFaEUsU0FBUyxxQkFBcUIsQ0FBQyxHQUFXO0lBQ3RDLElBQUksR0FBRyxHQUFHLGtCQUFrQixDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ2xDLE9BQU8sZUFBZSxLQUFLLFNBQVMsSUFBSSxhQUFhLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxLQUFLLFNBQVMsSUFBSSxhQUFhLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxLQUFLLFNBQVMsQ0FBQztBQUNoSSxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLGtHQUFrRztBQUNsRyxrR0FBa0c7QUFDbEcsMkZBQTJGO0FBQzNGLGlHQUFpRztBQUNqRyxnR0FBZ0c7QUFFaEcsS0FBSyxVQUFVLFlBQVksQ0FBQyxHQUFXLEVBQUUsUUFBUSxHQUFHLFNBQVM7SUFDekQsSUFBSSxlQUFlLEtBQUssU0FBUyxFQUFFO1FBQy9CLElBQUksT0FBTyxHQUFHLGFBQWEsQ0FBQyxRQUFRLENBQUMsa0JBQWtCLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUM5RCxJQUFJLE9BQU8sS0FBSyxTQUFTO1lBQ3JCLE1BQU0sSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDN0IsSUFBSSxRQUFRLEdBQUcsYUFBYSxDQUFDLEtBQUssQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQzVELElBQUksUUFBUSxLQUFLLFNBQVMsRUFBRTtZQUN4QixXQUFXLENBQUMsU0FBUyxFQUFFLGtDQUFrQyxlQUFlLElBQUksRUFBRSxJQUFJLEVBQUUsR0FBRyxDQUFDLENBQUM7WUFDekYsTUFBTSxJQUFJLEtBQUssQ0FBQyxrQ0FBa0MsZUFBZSxTQUFTLEdBQUcsRUFBRSxDQUFDLENBQUM7U0FDcEY7UUFDRCxPQUFPLEVBQUUsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxlQUFlLEVBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQztLQUMzRTtJQUVELElBQUksVUFBVSxHQUFHLENBQUMsUUFBUSxLQUFLLFNBQVMsSUFBSSxlQUFlLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsTUFBTSxhQUFhLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDO0lBQzVILElBQUksVUFBVSxLQUFLLFNBQVMsSUFBSSxVQUFVLENBQUMsSUFBSSxLQUFLLElBQUk7UUFDcEQsVUFBVSxHQUFHLFNBQVMsQ0FBQyxDQUFFLHdCQUF3QjtJQUNyRCxJQUFJLE9BQU8sR0FBRyxFQUFFLENBQUM7SUFDakIsSUFBSSxVQUFVLEtBQUssU0FBUyxJQUFJLFVBQVUsQ0FBQyxJQUFJLEtBQUssSUFBSTtRQUNwRCxPQUFPLENBQUMsZUFBZSxDQUFDLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQztJQUMvQyxJQUFJLFVBQVUsS0FBSyxTQUFTLElBQUksVUFBVSxDQUFDLGFBQWEsS0FBSyxJQUFJO1FBQzdELE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxHQUFHLFVBQVUsQ0FBQyxhQUFhLENBQUM7SUFFNUQsSUFBSSxRQUFRLEdBQUcsU0FBUyxDQUFDO0lBQ3pCLElBQUk7UUFDQSxRQUFRLEdBQUcsTUFBTSxrQkFBa0IsQ0FBQyxHQUFHLEVBQUUsT0FBTyxDQUFDLENBQUM7S0FDckQ7SUFBQyxPQUFPLEtBQUssRUFBRTtRQUNaLElBQUksZUFBZSxLQUFLLFNBQVMsRUFBRTtZQUMvQixhQUFhLENBQUMsUUFBUSxDQUFDLGtCQUFrQixDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsS0FBSyxDQUFDLE9BQU8sQ0FBQztZQUNoRSxPQUFPLGFBQWEsQ0FBQyxLQUFLLENBQUMsa0JBQWtCLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztZQUNwRCxrQkFBa0IsRUFBRSxDQUFDO1NBQ3hCO1FBQ0QsTUFBTSxLQUFLLENBQUM7S0FDZjtJQUNELElBQUksSUFBSSxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUM7SUFDekIsSUFBSSxRQUFRLENBQUMsVUFBVSxLQUFLLEdBQUcsSUFBSSxVQUFVLEtBQUssU0FBUztRQUN2RCxJQUFJLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxDQUFFLGVBQWU7U0FDdkMsSUFBSSxRQUFRLEtBQUssU0FBUyxFQUFFO1FBQzdCLHNGQUFzRjtRQUN0Rix5RkFBeUY7UUFDekYsMkNBQTJDO1FBRTNDLElBQUksQ0FBQyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDM0IsSUFBSSxLQUFLLEdBQUcsQ0FBQyxDQUFDLDZCQUE2QixDQUFDLENBQUMsS0FBSyxFQUFFLENBQUM7UUFDckQsSUFBSSxLQUFLLENBQUMsTUFBTSxLQUFLLENBQUM7WUFDbEIsTUFBTSxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUM7O1lBRXhELE1BQU0sZ0JBQWdCLENBQUMsUUFBUSxFQUFFLEdBQUcsRUFBRSxRQUFRLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxJQUFJLElBQUksRUFBRSxRQUFRLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQyxJQUFJLElBQUksRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUM7S0FDekk7SUFFRCxJQUFJLGVBQWUsS0FBSyxTQUFTLEVBQUU7UUFDL0IsSUFBSSxRQUFRLEdBQUcsTUFBTSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEdBQUcsT0FBTyxDQUFDO1FBQzlGLEVBQUUsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxlQUFlLEVBQUUsUUFBUSxDQUFDLEVBQUUsSUFBSSxDQUFDLENBQUM7UUFDN0QsYUFBYSxDQUFDLEtBQUssQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLFFBQVEsQ0FBQztRQUN4RCxPQUFPLGFBQWEsQ0FBQyxRQUFRLENBQUMsa0JBQWtCLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQztRQUN2RCxrQkFBa0IsRUFBRSxDQUFDO0tBQ3hCO0lBRUQsT0FBTyxJQUFJLENBQUM7QUFDaEIsQ0FBQztBQUVELGdHQUFnRztBQUNoRywwRkFBMEY7QUFDMUYseUZBQXlGO0FBRXpGLEtBQUssVUFBVSxrQkFBa0IsQ0FBQyxHQUFXLEVBQUUsT0FBTztJQUNsRCxJQUFJLFVBQVUsR0FBRyxVQUFVLENBQUM7SUFDNUIsS0FBSyxJQUFJLE9BQU8sR0FBRyxDQUFDLEdBQUksT0FBTyxFQUFFLEVBQUU7UUFDL0IsSUFBSSxZQUFZLElBQUksWUFBWTtZQUM1QixNQUFNLElBQUksS0FBSyxDQUFDLGdCQUFnQixZQUFZLHdEQUF3RCxHQUFHLEVBQUUsQ0FBQyxDQUFDO1FBRS9HLE1BQU0sS0FBSyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLGVBQWUsR0FBRyxZQUFZLEdBQUcsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDLENBQUMsQ0FBQztRQUN0RSxlQUFlLEdBQUcsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDO1FBQzdCLFlBQVksRUFBRSxDQUFDO1FBRWYsSUFBSSxLQUFLLEdBQUcsU0FBUyxDQUFDO1FBQ3RCLElBQUk7WUFDQSxJQUFJLFFBQVEsR0FBRyxNQUFNLE9BQU8sQ0FBQyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxrQkFBa0IsRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLE9BQU8sQ0FBQyxHQUFHLENBQUMsV0FBVyxFQUFFLE9BQU8sRUFBRSxjQUFjLEVBQUUsdUJBQXVCLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDO1lBQy9MLElBQUksUUFBUSxDQUFDLFVBQVUsR0FBRyxHQUFHO2dCQUN6QixPQUFPLFFBQVEsQ0FBQztZQUNwQixLQUFLLEdBQUcsSUFBSSxLQUFLLENBQUMsbUJBQW1CLEdBQUcsNEJBQTRCLFFBQVEsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDO1lBQzVGLElBQUksUUFBUSxDQUFDLFVBQVUsS0FBSyxHQUFHLElBQUksUUFBUSxDQUFDLFVBQVUsR0FBRyxHQUFHO2dCQUN4RCxNQUFNLEtBQUssQ0FBQyxDQUFFLHdCQUF3QjtTQUM3QztRQUFDLE9BQU8sWUFBWSxFQUFFO1lBQ25CLElBQUksWUFBWSxLQUFLLEtBQUs7Z0JBQ3RCLE1BQU0sS0FBSyxDQUFDO1lBQ2hCLEtBQUssR0FBRyxZQUFZLENBQUM7U0FDeEI7UUFFRCxJQUFJLE9BQU8sSUFBSSxtQkFBbUI7WUFDOUIsTUFBTSxLQUFLLENBQUM7UUFDaEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLE9BQU8sT0FBTyxtQkFBbUIsWUFBWSxLQUFLLENBQUMsT0FBTyxrQkFBa0IsVUFBVSxHQUFHLElBQUksV0FBVyxDQUFDLENBQUM7UUFDakksTUFBTSxLQUFLLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDeEIsVUFBVSxJQUFJLENBQUMsQ0FBQztLQUNuQjtBQUNMLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0Ysa0NBQWtDO0FBRWxDLEtBQUssVUFBVSxLQUFLLENBQUMsWUFBb0I7SUFDckMsSUFBSSxlQUFlLEtBQUssU0FBUztRQUM3QixNQUFNLEtBQUssQ0FBQyxZQUFZLENBQUMsQ0FBQztBQUNsQyxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLGlHQUFpRztBQUNqRyxpR0FBaUc7QUFDakcsMkZBQTJGO0FBQzNGLGdGQUFnRjtBQUVoRixTQUFTLFdBQVcsQ0FBQyxRQUFnQixFQUFFLE9BQWUsRUFBRSxvQkFBNEIsSUFBSSxFQUFFLE1BQWMsSUFBSTtJQUN4RyxPQUFPLENBQUMsR0FBRyxDQUFDLGNBQWMsUUFBUSxNQUFNLE9BQU8sR0FBRyxDQUFDLGlCQUFpQixLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLGtCQUFrQixpQkFBaUIsSUFBSSxHQUFHLENBQUMsR0FBRyxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEtBQUssR0FBRyxHQUFHLEVBQUUsQ0FBQyxDQUFDO0lBQ3JLLElBQUksVUFBVSxLQUFLLFNBQVM7UUFDeEIsT0FBTztJQUNYLFVBQVUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLGlCQUFpQixFQUFFLGlCQUFpQixFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsQ0FBQyxDQUFDO0lBQ2pILElBQUksUUFBUSxLQUFLLFNBQVM7UUFDdEIsVUFBVSxDQUFDLFlBQVksRUFBRSxDQUFDO1NBQ3pCLElBQUksUUFBUSxLQUFLLFFBQVE7UUFDMUIsVUFBVSxDQUFDLGdCQUFnQixFQUFFLENBQUM7QUFDdEMsQ0FBQztBQUVELCtGQUErRjtBQUMvRiw4REFBOEQ7QUFFOUQsU0FBUyxtQkFBbUIsQ0FBQyxzQkFBc0I7SUFDL0MsSUFBSSxRQUFRLEdBQUcsRUFBRSxDQUFDO0lBQ2xCLElBQUksQ0FBQyx3QkFBd0IsQ0FBQyxJQUFJLENBQUMsc0JBQXNCLENBQUMsaUJBQWlCLENBQUM7UUFDeEUsUUFBUSxDQUFDLElBQUksQ0FBQywyQkFBMkIsc0JBQXNCLENBQUMsaUJBQWlCLGtDQUFrQyxDQUFDLENBQUM7SUFDekgsSUFBSSxzQkFBc0IsQ0FBQyxZQUFZLEtBQUssRUFBRTtRQUMxQyxRQUFRLENBQUMsSUFBSSxDQUFDLDBDQUEwQyxDQUFDLENBQUM7U0FDekQsSUFBSSxNQUFNLENBQUMsc0JBQXNCLENBQUMsWUFBWSxFQUFFLFlBQVksRUFBRSxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEVBQUUsS0FBSyxDQUFDO1FBQzdGLFFBQVEsQ0FBQyxJQUFJLENBQUMscUJBQXFCLHNCQUFzQixDQUFDLFlBQVksb0JBQW9CLENBQUMsQ0FBQztJQUNoRyxJQUFJLHNCQUFzQixDQUFDLFdBQVcsS0FBSyxFQUFFO1FBQ3pDLFFBQVEsQ0FBQyxJQUFJLENBQUMsMkJBQTJCLENBQUMsQ0FBQztJQUUvQyw4RkFBOEY7SUFDOUYsb0VBQW9FO0lBRXBFLElBQUksZ0JBQWdCLEdBQUcsc0JBQXNCLENBQUMsZ0JBQWdCLENBQUM7SUFDL0QsSUFBSSxhQUFhLEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQyxPQUFPLEtBQUssSUFBSSxJQUFJLGdCQUFnQixDQUFDLFVBQVUsS0FBSyxJQUFJLElBQUksZ0JBQWdCLENBQUMsTUFBTSxLQUFLLElBQUksQ0FBQyxDQUFDO0lBQ3BJLElBQUksZ0JBQWdCLENBQUMsS0FBSyxLQUFLLFlBQVksSUFBSSxDQUFDLGFBQWE7UUFDekQsUUFBUSxDQUFDLElBQUksQ0FBQyxpREFBaUQsc0JBQXNCLENBQUMsT0FBTyxJQUFJLENBQUMsQ0FBQztJQUN2RyxPQUFPLFFBQVEsQ0FBQztBQUNwQixDQUFDO0FBRUQsOEZBQThGO0FBQzlGLHdFQUF3RTtBQUV4RSxTQUFTLFNBQVMsQ0FBQyxJQUFZO0lBQzNCLElBQUksSUFBSSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBRSxXQUFXLEVBQUUsVUFBVSxDQUFFLEVBQUUsSUFBSSxDQUFDLENBQUM7SUFDbEUsT0FBTyxJQUFJLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztBQUMzRCxDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLHVGQUF1RjtBQUV2RixTQUFTLFlBQVksQ0FBQyxNQUFNO0lBQ3hCLElBQUksT0FBTyxHQUFHLEVBQUUsQ0FBQztJQUNqQixJQUFJLFdBQVcsR0FBRyxFQUFFLENBQUM7SUFDckIsS0FBSyxJQUFJLEdBQUcsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFO1FBQ2pDLElBQUksR0FBRyxLQUFLLFdBQVcsSUFBSSxHQUFHLEtBQUssZUFBZSxJQUFJLEdBQUcsS0FBSyxjQUFjO1lBQ3hFLFNBQVM7UUFDYixJQUFJLFlBQVksR0FBRyxhQUFhLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7UUFDM0YsSUFBSSxLQUFLLEdBQUcsQ0FBQyxZQUFZLEtBQUssU0FBUyxJQUFJLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUM7UUFFdkcseUZBQXlGO1FBQ3pGLDBGQUEwRjtRQUMxRiwyRkFBMkY7UUFFM0YsSUFBSSxZQUFZLEtBQUssU0FBUyxJQUFJLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsS0FBSyxTQUFTLElBQUksT0FBTyxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsS0FBSyxFQUFFLENBQUMsSUFBSSxDQUFDLEtBQUssS0FBSyxFQUFFLElBQUksTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsQ0FBQztZQUNoSyxXQUFXLENBQUMsR0FBRyxDQUFDLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ25DLElBQUksWUFBWSxLQUFLLFNBQVMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLEtBQUssU0FBUyxJQUFJLE9BQU8sQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDO1lBQ2pILE9BQU8sQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLEdBQUcsS0FBSyxDQUFDO0tBQzVDO0lBRUQsNkZBQTZGO0lBQzdGLDJFQUEyRTtJQUUzRSxJQUFJLENBQUMsT0FBTyxDQUFDLFNBQVMsQ0FBQyxLQUFLLFNBQVMsSUFBSSxPQUFPLENBQUMsU0FBUyxDQUFDLEtBQUssRUFBRSxDQUFDLElBQUksT0FBTyxDQUFDLGtCQUFrQixDQUFDLEtBQUssU0FBUyxFQUFFO1FBQzlHLElBQUksWUFBWSxHQUFHLDRDQUE0QyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxDQUFDO1FBQ2xHLElBQUksWUFBWSxLQUFLLElBQUksSUFBSSxZQUFZLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxJQUFJLENBQUM7WUFDakYsT0FBTyxDQUFDLFNBQVMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztLQUMxRDtJQUVELEtBQUssSUFBSSxZQUFZLElBQUksYUFBYTtRQUNsQyxJQUFJLE9BQU8sQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLEtBQUssU0FBUyxJQUFJLE9BQU8sQ0FBQyxZQUFZLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRTtZQUNqRixPQUFPLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxHQUFHLElBQUksQ0FBQztJQUU1QyxPQUFPLEVBQUUsT0FBTyxFQUFFLE9BQU8sRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLENBQUM7QUFDMUQsQ0FBQztBQUVELDhGQUE4RjtBQUM5Riw4RkFBOEY7QUFDOUYsMkZBQTJGO0FBQzNGLG1GQUFtRjtBQUVuRixTQUFTLGFBQWEsQ0FBQyxPQUFlO0lBQ2xDLElBQUksZ0JBQWdCLEdBQUc7UUFDbkIsT0FBTyxFQUFFLEVBQUU7UUFDWCxRQUFRLEVBQUUsT0FBTztRQUNqQixZQUFZLEVBQUUsSUFBSTtRQUNsQixVQUFVLEVBQUUsSUFBSTtRQUNoQixNQUFNLEVBQUUsSUFBSTtRQUNaLEtBQUssRUFBRSxJQUFJO1FBQ1gsUUFBUSxFQUFFLElBQUk7UUFDZCxPQUFPLEVBQUUsSUFBSTtRQUNiLE9BQU8sRUFBRSxJQUFJO1FBQ2IsU0FBUyxFQUFFLElBQUk7UUFDZixLQUFLLEVBQUUsWUFBWTtRQUNuQixhQUFhLEVBQUUsSUFBSTtLQUN0QixDQUFDO0lBRUYsNEZBQTRGO0lBQzVGLHFEQUFxRDtJQUVyRCxJQUFJLFlBQVksR0FBRyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDdEQsSUFBSSxZQUFZLEtBQUssSUFBSSxJQUFJLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFO1FBQ3RELGdCQUFnQixDQUFDLE9BQU8sR0FBRyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUM7SUFFcEUsNEZBQTRGO0lBQzVGLHVGQUF1RjtJQUN2RixxRUFBcUU7SUFFckUsT0FBTyxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsT0FBTyxFQUFFLEdBQUcsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLGNBQWMsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ3hILGdCQUFnQixDQUFDLE9BQU8sR0FBRyxPQUFPLENBQUM7SUFDbkMsSUFBSSxPQUFPLEtBQUssRUFBRTtRQUNkLE9BQU8sZ0JBQWdCLENBQUM7SUFFNUIsNEZBQTRGO0lBQzVGLG1GQUFtRjtJQUVuRixJQUFJLGdCQUFnQixHQUFHLE9BQU8sQ0FBQyxXQUFXLEVBQUUsQ0FBQztJQUM3QyxLQUFLLElBQUksV0FBVyxJQUFJLFlBQVksRUFBRTtRQUNsQyxJQUFJLGdCQUFnQixDQUFDLFdBQVcsRUFBRSxLQUFLLEtBQUssR0FBRyxXQUFXLElBQUksZ0JBQWdCLENBQUMsUUFBUSxDQUFDLE1BQU0sR0FBRyxXQUFXLENBQUMsRUFBRTtZQUMzRyxPQUFPLENBQUMsR0FBRyxDQUFDLDJGQUEyRixPQUFPLEVBQUUsQ0FBQyxDQUFDO1lBQ2xILGdCQUFnQixDQUFDLE9BQU8sR0FBRyxXQUFXLENBQUM7WUFDdkMsV0FBVyxDQUFDLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxLQUFLLEdBQUcsV0FBVyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUMsSUFBSSxFQUFFLEVBQUUsZ0JBQWdCLENBQUMsQ0FBQztZQUMxRyxPQUFPLGdCQUFnQixDQUFDO1NBQzNCO0tBQ0o7SUFFRCxvRkFBb0Y7SUFDcEYsc0ZBQXNGO0lBQ3RGLDREQUE0RDtJQUU1RCxJQUFJLE1BQU0sR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBRWhDLElBQUksVUFBVSxHQUFHLElBQUksQ0FBQztJQUN0QixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3JDLElBQUksY0FBYyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDcEQsSUFBSSxlQUFlLEdBQUcsVUFBVSxDQUFDLGNBQWMsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxFQUFFLEVBQUUsYUFBYSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUscUJBQXFCLEVBQUUsYUFBYSxFQUFFLGVBQWUsRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZNLElBQUksZUFBZSxLQUFLLElBQUksRUFBRTtZQUMxQixVQUFVLEdBQUcsV0FBVyxDQUFDLGVBQWUsQ0FBQyxDQUFDO1lBQzFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBRSw0Q0FBNEM7WUFFM0UsOEVBQThFO1lBRTlFLGdCQUFnQixDQUFDLGFBQWEsR0FBRyxDQUFDLGNBQWMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxLQUFLLGVBQWUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN4SCxnQkFBZ0IsQ0FBQyxLQUFLLEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQyxhQUFhLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDO1lBQ3BGLE1BQU07U0FDVDtLQUNKO0lBRUQsSUFBSSxVQUFVLEtBQUssSUFBSSxFQUFFLEVBQUcsNENBQTRDO1FBQ3BFLE9BQU8sQ0FBQyxHQUFHLENBQUMsb0ZBQW9GLE9BQU8sRUFBRSxDQUFDLENBQUM7UUFDM0csV0FBVyxDQUFDLE9BQU8sRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO1FBQ3ZDLE9BQU8sZ0JBQWdCLENBQUM7S0FDM0I7SUFFRCwyRkFBMkY7SUFFM0YsSUFBSSxXQUFXLEdBQUcsNEJBQTRCLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQ2hFLElBQUksV0FBVyxLQUFLLElBQUk7UUFDcEIsZ0JBQWdCLENBQUMsTUFBTSxHQUFHLFVBQVUsQ0FBQztTQUNwQztRQUNELGdCQUFnQixDQUFDLE1BQU0sR0FBRyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDekMsZ0JBQWdCLENBQUMsS0FBSyxHQUFHLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUN4QyxnQkFBZ0IsQ0FBQyxRQUFRLEdBQUcsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQzlDO0lBRUQsdUVBQXVFO0lBRXZFLElBQUksVUFBVSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7SUFDekMsV0FBVyxDQUFDLFVBQVUsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO0lBQzFDLGdCQUFnQixDQUFDLE9BQU8sR0FBRyxDQUFDLFVBQVUsR0FBRyxDQUFDLENBQUMsVUFBVSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLFVBQVUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ2hHLE9BQU8sZ0JBQWdCLENBQUM7QUFDNUIsQ0FBQztBQUVELCtGQUErRjtBQUMvRiw4RkFBOEY7QUFDOUYsZ0NBQWdDO0FBRWhDLFNBQVMsV0FBVyxDQUFDLE1BQWMsRUFBRSxnQkFBZ0I7SUFDakQsSUFBSSxZQUFZLEdBQUcsOENBQThDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQy9FLElBQUksWUFBWSxLQUFLLElBQUksRUFBRTtRQUN2QixnQkFBZ0IsQ0FBQyxPQUFPLEdBQUcsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDO1FBQ3pELE1BQU0sR0FBRyxNQUFNLENBQUMsT0FBTyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsRUFBRSxHQUFHLENBQUMsQ0FBQztLQUNqRDtJQUVELElBQUksY0FBYyxHQUFHLGlEQUFpRCxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUNwRixJQUFJLGNBQWMsS0FBSyxJQUFJLEVBQUU7UUFDekIsZ0JBQWdCLENBQUMsU0FBUyxHQUFHLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQztRQUM3RCxNQUFNLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLEVBQUUsR0FBRyxDQUFDLENBQUM7S0FDbkQ7SUFFRCxNQUFNLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUMsT0FBTyxDQUFDLGdCQUFnQixFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBRXJFLElBQUksaUJBQWlCLEdBQUcsb0RBQW9ELENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQzFGLElBQUksaUJBQWlCLEtBQUssSUFBSSxFQUFFO1FBQzVCLGdCQUFnQixDQUFDLFlBQVksR0FBRyxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLEVBQUUsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDO1FBQ3JGLE1BQU0sR0FBRyxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsQ0FBQztLQUNqQztJQUVELGdCQUFnQixDQUFDLFVBQVUsR0FBRyxDQUFDLE1BQU0sS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7QUFDbEUsQ0FBQztBQUVELDZGQUE2RjtBQUM3Riw4RkFBOEY7QUFDOUYsNkZBQTZGO0FBQzdGLGlHQUFpRztBQUNqRyxnR0FBZ0c7QUFDaEcsa0dBQWtHO0FBQ2xHLDRFQUE0RTtBQUU1RSxLQUFLLFVBQVUsS0FBSyxDQUFDLFFBQXVCLEVBQUUsTUFBcUIsRUFBRSxRQUFRLEVBQUUsT0FBZ0IsRUFBRSxrQkFBMEIsQ0FBQyxFQUFFLGVBQXVCLFFBQVEsRUFBRSxlQUFxRyxTQUFTO0lBQ3pRLE9BQU8sQ0FBQyxHQUFHLENBQUMsNENBQTRDLFFBQVEsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLE9BQU8sTUFBTSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsR0FBRyxDQUFDLENBQUM7SUFFNUgsSUFBSSxZQUFZLEdBQUcsa0JBQWtCLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDO0lBQ3JFLElBQUksVUFBVSxHQUFHLGtCQUFrQixDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztJQUVqRSxJQUFJLGVBQWUsS0FBSyxTQUFTO1FBQzdCLFlBQVksQ0FBQyxFQUFFLFFBQVEsRUFBRSxRQUFRLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxFQUFFLE1BQU0sRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUVuRyxJQUFJLFVBQVUsR0FBRyxDQUFDLFVBQWtCLEVBQUUsRUFBRSxDQUFDLDBCQUEwQixDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxVQUFVLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLFlBQVksQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsVUFBVSxDQUFDLENBQUM7SUFDek0sT0FBTyxNQUFNLFVBQVUsQ0FBQyxVQUFVLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxlQUFlLEVBQUUsWUFBWSxFQUFFLFlBQVksQ0FBQyxDQUFDO0FBQ3hHLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsK0ZBQStGO0FBQy9GLDRDQUE0QztBQUU1QyxLQUFLLFVBQVUsT0FBTyxDQUFDLGlCQUF5QixFQUFFLFFBQVEsRUFBRSxPQUFnQjtJQUN4RSxPQUFPLENBQUMsR0FBRyxDQUFDLHVDQUF1QyxpQkFBaUIsSUFBSSxDQUFDLENBQUM7SUFFMUUsSUFBSSxlQUFlLEtBQUssU0FBUztRQUM3QixZQUFZLENBQUMsRUFBRSxpQkFBaUIsRUFBRSxpQkFBaUIsRUFBRSxDQUFDLENBQUM7SUFFM0QsSUFBSSxjQUFjLEdBQUcsY0FBYyxDQUFDLE9BQU8sQ0FBQyxjQUFjLEVBQUUsT0FBTyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxrQkFBa0IsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUM7SUFDOUgsSUFBSSxVQUFVLEdBQUcsQ0FBQyxVQUFrQixFQUFFLEVBQUUsQ0FBQyxDQUFDLFVBQVUsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxHQUFHLGNBQWMsWUFBWSxVQUFVLEVBQUUsQ0FBQztJQUN6SCxJQUFJLGdCQUFnQixHQUFHLENBQUMsQ0FBQztJQUN6QixNQUFNLFVBQVUsQ0FBQyxVQUFVLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxDQUFDLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxVQUFVLEVBQUUsb0JBQW9CLEVBQUUsRUFBRSxHQUFHLGdCQUFnQixJQUFJLG9CQUFvQixDQUFDLENBQUMsQ0FBQyxFQUFFLGlCQUFpQixDQUFDLENBQUM7SUFFM0ssSUFBSSxnQkFBZ0IsS0FBSyxDQUFDO1FBQ3RCLE9BQU8sQ0FBQyxHQUFHLENBQUMsMkNBQTJDLGlCQUFpQixJQUFJLENBQUMsQ0FBQztJQUNsRixPQUFPLGdCQUFnQixHQUFHLENBQUMsQ0FBQztBQUNoQyxDQUFDO0FBRUQsNEZBQTRGO0FBQzVGLDZGQUE2RjtBQUM3Riw4RkFBOEY7QUFDOUYsMERBQTBEO0FBRTFELEtBQUssVUFBVSxVQUFVLENBQUMsVUFBMEMsRUFBRSxRQUFRLEVBQUUsT0FBZ0IsRUFBRSxlQUF1QixFQUFFLFlBQW9CLEVBQUUsWUFBa0csRUFBRSwyQkFBbUMsU0FBUztJQUM3UixnREFBZ0Q7SUFFaEQsSUFBSSxpQkFBaUIsR0FBRyxDQUFDLENBQUM7SUFDMUIsSUFBSSxVQUFVLEdBQUcsZUFBZSxHQUFHLENBQUMsQ0FBQztJQUNyQyxPQUFPLFVBQVUsRUFBRSxHQUFHLGVBQWUsR0FBRyxDQUFDLEdBQUcsZ0JBQWdCLEVBQUUsRUFBRyxvQkFBb0I7UUFDakYsSUFBSSxZQUFZLElBQUksWUFBWSxJQUFJLFlBQVksSUFBSSxZQUFZLEVBQUU7WUFDOUQsT0FBTyxDQUFDLEdBQUcsQ0FBQyx1QkFBdUIsVUFBVSwwQ0FBMEMsQ0FBQyxDQUFDO1lBQ3pGLE9BQU8sS0FBSyxDQUFDO1NBQ2hCO1FBRUQsSUFBSSwwQkFBMEIsR0FBRyxVQUFVLENBQUMsVUFBVSxDQUFDLENBQUM7UUFDeEQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsVUFBVSxLQUFLLDBCQUEwQixFQUFFLENBQUMsQ0FBQztRQUU1RSxJQUFJLElBQUksR0FBRyxTQUFTLENBQUM7UUFDckIsSUFBSTtZQUNBLElBQUksR0FBRyxNQUFNLFlBQVksQ0FBQywwQkFBMEIsQ0FBQyxDQUFDO1NBQ3pEO1FBQUMsT0FBTyxLQUFLLEVBQUU7WUFDWixPQUFPLENBQUMsS0FBSyxDQUFDLG1CQUFtQixVQUFVLDZDQUE2QyxLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztZQUN6RyxJQUFJLENBQUMscUJBQXFCLENBQUMsMEJBQTBCLENBQUMsRUFBRyxtQkFBbUI7Z0JBQ3hFLFdBQVcsQ0FBQyxPQUFPLEVBQUUsc0RBQXNELEtBQUssQ0FBQyxPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsMEJBQTBCLENBQUMsQ0FBQztZQUNsSSxPQUFPLEtBQUssQ0FBQztTQUNoQjtRQUNELElBQUksQ0FBQyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDM0IsSUFBSSxVQUFVLEtBQUssU0FBUztZQUN4QixVQUFVLENBQUMsU0FBUyxFQUFFLENBQUM7UUFFM0IsdUZBQXVGO1FBQ3ZGLHFFQUFxRTtRQUVyRSxJQUFJLENBQUMsQ0FBQyxxQkFBcUIsQ0FBQyxDQUFDLE1BQU0sS0FBSyxDQUFDO1lBQ3JDLFdBQVcsQ0FBQyxRQUFRLEVBQUUsb0ZBQW9GLEVBQUUsSUFBSSxFQUFFLDBCQUEwQixDQUFDLENBQUM7UUFFbEosb0ZBQW9GO1FBQ3BGLGdCQUFnQjtRQUVoQixJQUFJLGdCQUFnQixHQUFHLENBQUMsQ0FBQztRQUN6QixJQUFJLFlBQVksR0FBRyxDQUFDLENBQUM7UUFDckIsTUFBTSxPQUFPLENBQUMsVUFBVSxFQUFFLENBQUM7UUFDM0IsSUFBSTtZQUNBLEtBQUssSUFBSSxTQUFTLElBQUksQ0FBQyxDQUFDLHdCQUF3QixDQUFDLENBQUMsR0FBRyxFQUFFLEVBQUU7Z0JBQ3JELElBQUksQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQztvQkFDcEMsU0FBUyxDQUFFLGNBQWM7Z0JBQzdCLElBQUkseUJBQXlCLEdBQUcsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLElBQUksQ0FBQyxrQkFBa0IsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztnQkFDbkYsSUFBSSx5QkFBeUIsS0FBSyxTQUFTLEVBQUU7b0JBQ3pDLElBQUksQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFHLHlDQUF5Qzt3QkFDOUUsV0FBVyxDQUFDLFFBQVEsRUFBRSx3RUFBd0UsRUFBRSxJQUFJLEVBQUUsMEJBQTBCLENBQUMsQ0FBQztvQkFDdEksU0FBUztpQkFDWjtnQkFDRCxJQUFJLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxJQUFJLENBQUMsZ0JBQWdCLENBQUMsQ0FBQyxNQUFNLEtBQUssQ0FBQztvQkFDaEQsV0FBVyxDQUFDLFFBQVEsRUFBRSwyRUFBMkUsRUFBRSxJQUFJLEVBQUUseUJBQXlCLENBQUMsQ0FBQztnQkFFeEksOEVBQThFO2dCQUM5RSxrRkFBa0Y7Z0JBQ2xGLGtGQUFrRjtnQkFFbEYsSUFBSSxlQUFlLEtBQUssU0FBUyxJQUFJLGVBQWUsS0FBSyxTQUFTLElBQUksd0JBQXdCLEtBQUssU0FBUyxJQUFJLE1BQU0sb0JBQW9CLENBQUMsUUFBUSxFQUFFLE9BQU8sRUFBRSx5QkFBeUIsQ0FBQyxFQUFFO29CQUN0TCxPQUFPLENBQUMsR0FBRyxDQUFDLGdCQUFnQix5QkFBeUIsdUNBQXVDLENBQUMsQ0FBQztvQkFDOUYsZ0JBQWdCLEVBQUUsQ0FBQztvQkFDbkIsU0FBUztpQkFDWjtnQkFFRCxvRkFBb0Y7Z0JBQ3BGLDBFQUEwRTtnQkFFMUUsSUFBSSxZQUFZLElBQUksWUFBWSxJQUFJLFlBQVksSUFBSSxZQUFZLEVBQUU7b0JBQzlELE9BQU8sQ0FBQyxHQUFHLENBQUMsaUNBQWlDLFVBQVUsMENBQTBDLENBQUMsQ0FBQztvQkFDbkcsT0FBTyxLQUFLLENBQUM7aUJBQ2hCO2dCQUVELG1GQUFtRjtnQkFDbkYsK0RBQStEO2dCQUUvRCxJQUFJLFNBQVMsR0FBRyxTQUFTLENBQUM7Z0JBQzFCLElBQUk7b0JBQ0EsU0FBUyxHQUFHLE1BQU0sWUFBWSxDQUFDLHlCQUF5QixFQUFFLFFBQVEsQ0FBQyxDQUFDO2lCQUN2RTtnQkFBQyxPQUFPLEtBQUssRUFBRTtvQkFDWixPQUFPLENBQUMsS0FBSyxDQUFDLGdCQUFnQix5QkFBeUIsNEJBQTRCLEtBQUssQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO29CQUNwRyxJQUFJLENBQUMscUJBQXFCLENBQUMseUJBQXlCLENBQUMsRUFBRyxtQkFBbUI7d0JBQ3ZFLFdBQVcsQ0FBQyxPQUFPLEVBQUUsNERBQTRELEtBQUssQ0FBQyxPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUseUJBQXlCLENBQUMsQ0FBQztvQkFDdkksWUFBWSxFQUFFLENBQUM7b0JBQ2YsU0FBUztpQkFDWjtnQkFDRCxJQUFJLFNBQVMsR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO2dCQUN4QyxJQUFJLFNBQVMsQ0FBQyw2QkFBNkIsQ0FBQyxDQUFDLE1BQU0sS0FBSyxDQUFDO29CQUNyRCxXQUFXLENBQUMsUUFBUSxFQUFFLHFHQUFxRyxFQUFFLElBQUksRUFBRSx5QkFBeUIsQ0FBQyxDQUFDO2dCQUVsSyxJQUFJLGdCQUFnQixHQUFHLGFBQWEsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztnQkFDeEYsSUFBSSxPQUFPLEdBQUcsZ0JBQWdCLENBQUMsT0FBTyxDQUFDO2dCQUN2QyxJQUFJLGlCQUFpQixHQUFHLEVBQUUsQ0FBQztnQkFDM0IsSUFBSSxZQUFZLEdBQUcsRUFBRSxDQUFDO2dCQUN0QixJQUFJLFdBQVcsR0FBRyxFQUFFLENBQUM7Z0JBQ3JCLElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQztnQkFFaEIsS0FBSyxJQUFJLFNBQVMsSUFBSSxTQUFTLENBQUMsZ0NBQWdDLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRTtvQkFDckUsSUFBSSxHQUFHLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO29CQUM3RixJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsR0FBRyxDQUFDLENBQUM7b0JBQ2xGLElBQUksR0FBRyxLQUFLLEVBQUU7d0JBQ1YsU0FBUztvQkFDYixNQUFNLENBQUMsR0FBRyxDQUFDLEdBQUcsS0FBSyxDQUFDO29CQUVwQixJQUFJLEdBQUcsS0FBSyxXQUFXO3dCQUNuQixpQkFBaUIsR0FBRyxLQUFLLENBQUM7eUJBQ3pCLElBQUksR0FBRyxLQUFLLGVBQWU7d0JBQzVCLFlBQVksR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUM7eUJBQy9CLElBQUksR0FBRyxLQUFLLGNBQWM7d0JBQzNCLFdBQVcsR0FBRyxLQUFLLENBQUM7aUJBQzNCO2dCQUVELElBQUksRUFBRSxPQUFPLEVBQUUsV0FBVyxFQUFFLEdBQUcsWUFBWSxDQUFDLE1BQU0sQ0FBQyxDQUFDO2dCQUVwRCxLQUFLLElBQUksV0FBVyxJQUFJLENBQUUsV0FBVyxFQUFFLGVBQWUsRUFBRSxjQUFjLENBQUU7b0JBQ3BFLElBQUksQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLFdBQVcsQ0FBQyxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsTUFBTSxHQUFHLENBQUM7d0JBQ3JFLFdBQVcsQ0FBQyxRQUFRLEVBQUUsbUVBQW1FLFdBQVcsUUFBUSxFQUFFLENBQUMsaUJBQWlCLEtBQUssRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsaUJBQWlCLEVBQUUseUJBQXlCLENBQUMsQ0FBQztnQkFFeE0sZ0ZBQWdGO2dCQUNoRiw0RUFBNEU7Z0JBRTVFLElBQUksd0JBQXdCLEtBQUssU0FBUyxJQUFJLGlCQUFpQixDQUFDLFdBQVcsRUFBRSxLQUFLLHdCQUF3QixDQUFDLFdBQVcsRUFBRTtvQkFDcEgsU0FBUztnQkFFYiw2RUFBNkU7Z0JBRTdFLElBQUksaUJBQWlCLEtBQUssRUFBRSxJQUFJLGlCQUFpQixLQUFLLFNBQVMsSUFBSSxPQUFPLEtBQUssRUFBRSxJQUFJLE9BQU8sS0FBSyxTQUFTLEVBQUU7b0JBQ3hHLFdBQVcsQ0FBQyxTQUFTLEVBQUUsdURBQXVELENBQUMsaUJBQWlCLEtBQUssRUFBRSxJQUFJLGlCQUFpQixLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxvQkFBb0IsQ0FBQyxDQUFDLENBQUMsU0FBUyxZQUFZLEVBQUUsQ0FBQyxpQkFBaUIsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsRUFBRSx5QkFBeUIsQ0FBQyxDQUFDO2lCQUNqUjtxQkFBTTtvQkFDSCxJQUFJLGNBQWMsR0FBRyxjQUFjLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxrQkFBa0IsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUM7b0JBQzdGLElBQUksc0JBQXNCLEdBQUc7d0JBQ3pCLGlCQUFpQixFQUFFLGlCQUFpQjt3QkFDcEMsT0FBTyxFQUFFLE9BQU87d0JBQ2hCLFdBQVcsRUFBRSxXQUFXO3dCQUN4QixjQUFjLEVBQUUsY0FBYzt3QkFDOUIsVUFBVSxFQUFFLFVBQVU7d0JBQ3RCLFVBQVUsRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDO3dCQUN6QyxZQUFZLEVBQUUsWUFBWTt3QkFDMUIsZ0JBQWdCLEVBQUUsZ0JBQWdCO3dCQUNsQyxPQUFPLEVBQUUsT0FBTzt3QkFDaEIsV0FBVyxFQUFFLFdBQVc7cUJBQzNCLENBQUE7b0JBRUQsOEVBQThFO29CQUM5RSxvRUFBb0U7b0JBRXBFLEtBQUssSUFBSSxPQUFPLElBQUksbUJBQW1CLENBQUMsc0JBQXNCLENBQUM7d0JBQzNELFdBQVcsQ0FBQyxTQUFTLEVBQUUsT0FBTyxFQUFFLGlCQUFpQixFQUFFLHlCQUF5QixDQUFDLENBQUM7b0JBRWxGLE1BQU0sT0FBTyxDQUFDLGVBQWUsQ0FBQyxzQkFBc0IsQ0FBQyxDQUFDO29CQUN0RCxJQUFJLGVBQWUsS0FBSyxTQUFTO3dCQUM3QixNQUFNLGlDQUFpQyxDQUFDLFFBQVEsRUFBRSx5QkFBeUIsRUFBRSxpQkFBaUIsQ0FBQyxDQUFDO29CQUNwRyxnQkFBZ0IsRUFBRSxDQUFDO29CQUNuQixJQUFJLFVBQVUsS0FBSyxTQUFTO3dCQUN4QixVQUFVLENBQUMsVUFBVSxFQUFFLENBQUM7aUJBQy9CO2FBQ0o7WUFFRCxJQUFJLFVBQVUsS0FBSyxTQUFTO2dCQUN4QixVQUFVLENBQUMsZ0JBQWdCLElBQUksZ0JBQWdCLENBQUM7WUFDcEQsaUJBQWlCLElBQUksWUFBWSxDQUFDO1lBQ2xDLElBQUksWUFBWSxLQUFLLFNBQVM7Z0JBQzFCLE1BQU0sWUFBWSxDQUFDLFVBQVUsRUFBRSxnQkFBZ0IsRUFBRSxZQUFZLENBQUMsQ0FBQztTQUN0RTtnQkFBUztZQUNOLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSxDQUFDO1NBQzVCO1FBRUQscUVBQXFFO1FBRXJFLElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQyxDQUFDLDJCQUEyQixDQUFDLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQ2xFLElBQUksQ0FBQyxlQUFlLEVBQUU7WUFDbEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvREFBb0QsQ0FBQyxDQUFDO1lBQ2xFLE9BQU8sQ0FBQyxpQkFBaUIsS0FBSyxDQUFDLENBQUMsQ0FBQztTQUNwQztLQUNKO0lBRUQsOEZBQThGO0lBQzlGLG9EQUFvRDtJQUVwRCxXQUFXLENBQUMsT0FBTyxFQUFFLDJCQUEyQixnQkFBZ0IsaUVBQWlFLEVBQUUsSUFBSSxFQUFFLFVBQVUsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDO0lBQ3RLLE9BQU8sS0FBSyxDQUFDO0FBQ2pCLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsMkZBQTJGO0FBQzNGLGlHQUFpRztBQUNqRyxrR0FBa0c7QUFDbEcsZ0dBQWdHO0FBQ2hHLHFGQUFxRjtBQUNyRixxREFBcUQ7QUFFckQsS0FBSyxVQUFVLFFBQVEsQ0FBQyxRQUFRLEVBQUUsT0FBZ0I7SUFDOUMsSUFBSSxXQUFXLEdBQUcsTUFBTSxjQUFjLENBQUMsUUFBUSxDQUFDLENBQUM7SUFFakQsMEZBQTBGO0lBRTFGLElBQUksYUFBYSxHQUFHLEVBQUUsQ0FBQztJQUN2QixLQUFLLElBQUksS0FBSyxHQUFHLGtCQUFrQixDQUFDLEtBQUssRUFBRSxFQUFFLEtBQUssQ0FBQyxRQUFRLENBQUMsTUFBTSxFQUFFLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEVBQUUsUUFBUSxDQUFDLEVBQUU7UUFDNUcsSUFBSSxHQUFHLEdBQUcsS0FBSyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUNsQyxhQUFhLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsSUFBSTtZQUNuQyxLQUFLLEVBQUUsR0FBRztZQUNWLFNBQVMsRUFBRSxLQUFLLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQztZQUNyQyxPQUFPLEVBQUUsS0FBSyxDQUFDLEtBQUssRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDO1lBQzFELE1BQU0sRUFBRSxTQUFTO1lBQ2pCLGdCQUFnQixFQUFFLENBQUM7WUFDbkIsaUJBQWlCLEVBQUUsQ0FBQztZQUNwQixZQUFZLEVBQUUsSUFBSTtZQUNsQixjQUFjLEVBQUUsSUFBSTtTQUN2QixDQUFDLENBQUM7S0FDTjtJQUVELDBGQUEwRjtJQUMxRixrRUFBa0U7SUFFbEUsSUFBSSxXQUFXLEdBQUcsWUFBWSxDQUFDLEVBQUUsQ0FBQyxDQUFDLFlBQVksQ0FBQyxNQUFNLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxNQUFNLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDMUgsYUFBYSxDQUFDLElBQUksQ0FBQyxDQUFDLGFBQWEsRUFBRSxhQUFhLEVBQUUsRUFBRSxDQUNoRCxDQUFDLFdBQVcsQ0FBQyxhQUFhLENBQUMsR0FBRyxXQUFXLENBQUMsYUFBYSxDQUFDLENBQUM7UUFDekQsQ0FBQyxhQUFhLENBQUMsY0FBYyxJQUFJLEVBQUUsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxhQUFhLENBQUMsY0FBYyxJQUFJLEVBQUUsQ0FBQztRQUN0RixhQUFhLENBQUMsS0FBSyxDQUFDLGFBQWEsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztJQUU1RCxJQUFJLFlBQVksR0FBRyxZQUFZLEdBQUcsYUFBYSxDQUFDO0lBQ2hELE9BQU8sQ0FBQyxHQUFHLENBQUMsOENBQThDLGFBQWEsWUFBWSxDQUFDLENBQUM7SUFFckYsS0FBSyxJQUFJLFlBQVksSUFBSSxhQUFhLEVBQUU7UUFDcEMsSUFBSSxZQUFZLElBQUksWUFBWSxJQUFJLFlBQVksSUFBSSxZQUFZO1lBQzVELE1BQU07UUFFVixzRUFBc0U7UUFFdEUsSUFBSSxZQUFZLENBQUMsTUFBTSxLQUFLLFNBQVMsRUFBRTtZQUNuQyxZQUFZLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQztZQUNoQyxZQUFZLENBQUMsZ0JBQWdCLEdBQUcsQ0FBQyxDQUFDO1lBQ2xDLFlBQVksQ0FBQyxpQkFBaUIsR0FBRyxDQUFDLENBQUM7WUFDbkMsWUFBWSxDQUFDLFlBQVksR0FBRyxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMscUJBQXFCLENBQUMsQ0FBQztZQUNuRSxZQUFZLENBQUMsY0FBYyxHQUFHLElBQUksQ0FBQztTQUN0QztRQUVELElBQUksc0JBQXNCLEdBQUcsS0FBSyxDQUFDO1FBQ25DLElBQUksVUFBVSxHQUFHLE1BQU0sS0FBSyxDQUN4QixNQUFNLENBQUMsWUFBWSxDQUFDLFNBQVMsRUFBRSxZQUFZLEVBQUUsSUFBSSxDQUFDLEVBQ2xELE1BQU0sQ0FBQyxZQUFZLENBQUMsT0FBTyxFQUFFLFlBQVksRUFBRSxJQUFJLENBQUMsRUFDaEQsUUFBUSxFQUNSLE9BQU8sRUFDUCxZQUFZLENBQUMsZ0JBQWdCLEdBQUcsQ0FBQyxFQUNqQyxZQUFZLEVBQ1osS0FBSyxFQUFFLFVBQVUsRUFBRSxnQkFBZ0IsRUFBRSxZQUFZLEVBQUUsRUFBRTtZQUNqRCxpRkFBaUY7WUFDakYsOEVBQThFO1lBQzlFLDhDQUE4QztZQUU5QyxJQUFJLFlBQVksR0FBRyxDQUFDO2dCQUNoQixzQkFBc0IsR0FBRyxJQUFJLENBQUM7WUFDbEMsSUFBSSxDQUFDLHNCQUFzQixFQUFFO2dCQUN6QixZQUFZLENBQUMsZ0JBQWdCLEdBQUcsVUFBVSxDQUFDO2dCQUMzQyxZQUFZLENBQUMsaUJBQWlCLElBQUksZ0JBQWdCLENBQUM7YUFDdEQ7WUFDRCxNQUFNLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxZQUFZLENBQUMsQ0FBQztRQUNwRCxDQUFDLENBQUMsQ0FBQztRQUVQLElBQUksVUFBVSxFQUFFO1lBQ1osWUFBWSxDQUFDLE1BQU0sR0FBRyxVQUFVLENBQUM7WUFDakMsWUFBWSxDQUFDLGNBQWMsR0FBRyxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMscUJBQXFCLENBQUMsQ0FBQztZQUNyRSxNQUFNLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxZQUFZLENBQUMsQ0FBQztZQUNoRCxPQUFPLENBQUMsR0FBRyxDQUFDLHVCQUF1QixZQUFZLENBQUMsS0FBSyxTQUFTLFlBQVksQ0FBQyxpQkFBaUIsOEJBQThCLENBQUMsQ0FBQztTQUMvSDthQUFNO1lBQ0gsTUFBTSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBRSxrREFBa0Q7WUFDcEcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzQ0FBc0MsWUFBWSxDQUFDLEtBQUssZUFBZSxZQUFZLENBQUMsZ0JBQWdCLEdBQUcsc0JBQXNCLENBQUMsQ0FBQyxDQUFDLGdEQUFnRCxDQUFDLENBQUMsQ0FBQyxFQUFFLGdEQUFnRCxDQUFDLENBQUM7U0FDdFA7UUFFRCxNQUFNLEtBQUssQ0FBQyxJQUFJLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztLQUMvQztBQUNMLENBQUM7QUFFRCwrRUFBK0U7QUFFL0UsS0FBSyxVQUFVLFdBQVcsQ0FBQyxRQUFRLEVBQUUsUUFBdUIsRUFBRSxNQUFxQjtJQUMvRSxJQUFJLE9BQU8sR0FBRyxNQUFNLFVBQVUsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLE1BQU0sQ0FBQyxDQUFDO0lBQzNELE9BQU8sQ0FBQyxHQUFHLENBQUMsU0FBUyxPQUFPLENBQUMsTUFBTSx1REFBdUQsUUFBUSxDQUFDLE1BQU0sQ0FBQyxZQUFZLENBQUMsT0FBTyxNQUFNLENBQUMsTUFBTSxDQUFDLFlBQVksQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUU5SixJQUFJLHlCQUF5QixHQUFHLFNBQVMsQ0FBQztJQUMxQyxLQUFLLElBQUksTUFBTSxJQUFJLE9BQU8sRUFBRTtRQUN4QixJQUFJLE1BQU0sQ0FBQyxpQkFBaUIsS0FBSyx5QkFBeUI7WUFDdEQsT0FBTyxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsTUFBTSxDQUFDLGlCQUFpQixJQUFJLENBQUMsQ0FBQztRQUM5RCxPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sTUFBTSxDQUFDLFlBQVksS0FBSyxNQUFNLENBQUMsS0FBSyxrQkFBa0IsTUFBTSxDQUFDLFNBQVMsU0FBUyxNQUFNLENBQUMsU0FBUyxJQUFJLENBQUMsQ0FBQztRQUN4SCx5QkFBeUIsR0FBRyxNQUFNLENBQUMsaUJBQWlCLENBQUM7S0FDeEQ7QUFDTCxDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLDhFQUE4RTtBQUU5RSxLQUFLLFVBQVUsZUFBZSxDQUFDLFFBQVE7SUFDbkMsSUFBSSxJQUFJLEdBQUcsTUFBTSxzQkFBc0IsQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUNsRCxPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsSUFBSSxDQUFDLE1BQU0sK0RBQStELENBQUMsQ0FBQztJQUNqRyxLQUFLLElBQUksR0FBRyxJQUFJLElBQUksRUFBRTtRQUNsQixJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsQ0FBQyxhQUFhLEtBQUssT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLHdCQUF3QixHQUFHLENBQUMsc0JBQXNCLEdBQUcsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLGFBQWEsQ0FBQztRQUN4SCxJQUFJLE9BQU8sR0FBRyxDQUFDLEdBQUcsQ0FBQyxlQUFlLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsYUFBYSxHQUFHLENBQUMsZUFBZSxHQUFHLENBQUM7UUFDeEYsT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLEdBQUcsQ0FBQyxpQkFBaUIsS0FBSyxLQUFLLE1BQU0sR0FBRyxDQUFDLGdCQUFnQixtQkFBbUIsR0FBRyxDQUFDLE9BQU8sSUFBSSxPQUFPLEVBQUUsQ0FBQyxDQUFDO0tBQzVIO0FBQ0wsQ0FBQztBQUVELGtHQUFrRztBQUVsRyxTQUFTLGNBQWMsQ0FBQyxLQUFLO0lBQ3pCLElBQUksSUFBSSxHQUFHLENBQUMsS0FBSyxLQUFLLFNBQVMsSUFBSSxLQUFLLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLFFBQVEsRUFBRSxDQUFDO0lBQzNFLE9BQU8sVUFBVSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFDMUUsQ0FBQztBQUVELDJGQUEyRjtBQUMzRix5REFBeUQ7QUFFekQsU0FBUywyQkFBMkIsQ0FBQyxHQUFHO0lBQ3BDLElBQUksUUFBUSxHQUFHLENBQUMsR0FBRyxDQUFDLGNBQWMsS0FBSyxJQUFJLElBQUksR0FBRyxDQUFDLGNBQWMsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxlQUFlLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxDQUFDO0lBQ25JLE9BQU87UUFDSCxpQkFBaUIsRUFBRSxHQUFHLENBQUMsaUJBQWlCO1FBQ3hDLE9BQU8sRUFBRSxHQUFHLENBQUMsT0FBTztRQUNwQixXQUFXLEVBQUUsR0FBRyxDQUFDLFdBQVc7UUFDNUIsUUFBUSxFQUFFLEdBQUcsQ0FBQyxRQUFRO1FBQ3RCLFdBQVcsRUFBRSxHQUFHLENBQUMsV0FBVztRQUM1QixHQUFHLEVBQUUsQ0FBQyxRQUFRLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLFFBQVE7UUFDeEQsR0FBRyxFQUFFLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxTQUFTO1FBQ3pELFlBQVksRUFBRSxHQUFHLENBQUMsWUFBWTtRQUM5QixhQUFhLEVBQUUsQ0FBQyxHQUFHLENBQUMsYUFBYSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxhQUFhO1FBQ3BFLGNBQWMsRUFBRSxHQUFHLENBQUMsY0FBYztRQUNsQyxZQUFZLEVBQUUsR0FBRyxDQUFDLFlBQVk7UUFDOUIsU0FBUyxFQUFFLEVBQUUsU0FBUyxFQUFFLGFBQWEsRUFBRTtLQUMxQyxDQUFDO0FBQ04sQ0FBQztBQUVELGdHQUFnRztBQUNoRyxnR0FBZ0c7QUFDaEcsaUdBQWlHO0FBQ2pHLGdHQUFnRztBQUNoRyxpQ0FBaUM7QUFFakMsS0FBSyxVQUFVLGtCQUFrQixDQUFDLFFBQVEsRUFBRSxTQUFpQixFQUFFLFFBQXVCLEVBQUUsTUFBcUI7SUFDekcsSUFBSSxJQUFJLEdBQUcsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLFFBQVEsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUNyRCxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxTQUFTLENBQUM7UUFDekIsRUFBRSxDQUFDLFNBQVMsQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUU1QixpREFBaUQ7SUFFakQsSUFBSSxXQUFXLEdBQUcsQ0FBQyxNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsMkJBQTJCLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNuRyxJQUFJLEtBQUssR0FBRyxDQUFFLFdBQVcsQ0FBQyxHQUFHLENBQUMsY0FBYyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFFLENBQUM7SUFDMUQsS0FBSyxJQUFJLEdBQUcsSUFBSSxJQUFJO1FBQ2hCLEtBQUssQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDO0lBQ3pGLEVBQUUsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsa0JBQWtCLENBQUMsRUFBRSxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLE1BQU0sQ0FBQyxDQUFDO0lBRXhGLHFDQUFxQztJQUVyQyxJQUFJLFlBQVksR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLDJCQUEyQixDQUFDLENBQUM7SUFDekQsRUFBRSxDQUFDLGFBQWEsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLFNBQVMsRUFBRSxtQkFBbUIsQ0FBQyxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsWUFBWSxDQUFDLEdBQUcsQ0FBQyxXQUFXLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBRXRKLGtFQUFrRTtJQUVsRSxJQUFJLFFBQVEsR0FBRyxZQUFZLENBQUMsTUFBTSxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLEdBQUcsS0FBSyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzVGLElBQUksRUFBRSxTQUFTO1FBQ2YsUUFBUSxFQUFFLEVBQUUsSUFBSSxFQUFFLE9BQU8sRUFBRSxXQUFXLEVBQUUsQ0FBRSxXQUFXLENBQUMsR0FBRyxFQUFFLFdBQVcsQ0FBQyxHQUFHLENBQUUsRUFBRTtRQUM5RSxVQUFVLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLEVBQUUsV0FBVyxFQUFFLEVBQUUsU0FBUyxFQUFFLGFBQWEsRUFBRSxrQkFBa0IsRUFBRSxRQUFRLEVBQUUsQ0FBQztLQUN6RyxDQUFDLENBQUMsQ0FBQztJQUNKLEVBQUUsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxTQUFTLEVBQUUsc0JBQXNCLENBQUMsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLEVBQUUsSUFBSSxFQUFFLG1CQUFtQixFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUUzSSxPQUFPLENBQUMsR0FBRyxDQUFDLFlBQVksSUFBSSxDQUFDLE1BQU0sbUNBQW1DLFNBQVMsTUFBTSxRQUFRLENBQUMsTUFBTSxpQ0FBaUMsQ0FBQyxDQUFDO0FBQzNJLENBQUM7QUFFRCxrRUFBa0U7QUFFbEUsU0FBUyxvQkFBb0IsQ0FBQyxJQUFZO0lBQ3RDLElBQUksSUFBSSxHQUFHLE1BQU0sQ0FBQyxJQUFJLEVBQUUsWUFBWSxFQUFFLElBQUksQ0FBQyxDQUFDO0lBQzVDLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxFQUFFO1FBQ2YsTUFBTSxJQUFJLEtBQUssQ0FBQyw4Q0FBOEMsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUMxRSxPQUFPLElBQUksQ0FBQztBQUNoQixDQUFDO0FBRUQsNEZBQTRGO0FBQzVGLG1CQUFtQjtBQUVuQixTQUFTLFVBQVUsQ0FBQyxJQUFZLEVBQUUsSUFBWTtJQUMxQyxJQUFJLEtBQUssR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDekIsSUFBSSxJQUFJLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxJQUFJLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsSUFBSSxLQUFLLEdBQUcsQ0FBQztRQUMzRCxNQUFNLElBQUksS0FBSyxDQUFDLE9BQU8sSUFBSSxvQ0FBb0MsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUMzRSxPQUFPLEtBQUssQ0FBQztBQUNqQixDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLGFBQWE7QUFFYixNQUFNLFFBQVEsR0FBRztJQUNiLE1BQU0sRUFBRSxLQUFLO0lBQ2IsV0FBVyxFQUFFLElBQUk7SUFDakIsTUFBTSxFQUFFLElBQUk7SUFDWixPQUFPLEVBQUUsS0FBSztJQUNkLFNBQVMsRUFBRSxLQUFLO0lBQ2hCLE1BQU0sRUFBRSxJQUFJLENBQVMsaUVBQWlFO0NBQ3pGLENBQUM7QUFFRiw2RkFBNkY7QUFDN0YsOEZBQThGO0FBQzlGLDJGQUEyRjtBQUMzRixpR0FBaUc7QUFDakcsNkZBQTZGO0FBQzdGLDRGQUE0RjtBQUM1Riw4RkFBOEY7QUFDOUYsaUdBQWlHO0FBQ2pHLDZGQUE2RjtBQUM3RixnR0FBZ0c7QUFDaEcsOEZBQThGO0FBQzlGLCtGQUErRjtBQUMvRix5RkFBeUY7QUFDekYsK0ZBQStGO0FBQy9GLFFBQVE7QUFFUixTQUFTLGdCQUFnQixDQUFDLElBQWM7SUFDcEMsSUFBSSxPQUFPLENBQUMsR0FBRyxDQUFDLG9CQUFvQixLQUFLLFNBQVM7UUFDOUMsYUFBYSxHQUFHLFVBQVUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLG9CQUFvQixFQUFFLGdCQUFnQixDQUFDLENBQUM7SUFDbkYsSUFBSSxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixLQUFLLFNBQVM7UUFDN0MsWUFBWSxHQUFHLFVBQVUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLG1CQUFtQixFQUFFLGVBQWUsQ0FBQyxDQUFDO0lBQ2hGLElBQUksT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsS0FBSyxTQUFTO1FBQzdDLFlBQVksR0FBRyxVQUFVLENBQUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxtQkFBbUIsRUFBRSxlQUFlLENBQUMsQ0FBQztJQUNoRixJQUFJLE9BQU8sQ0FBQyxHQUFHLENBQUMsaUJBQWlCLEtBQUssU0FBUztRQUMzQyxVQUFVLEdBQUcsVUFBVSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsaUJBQWlCLEVBQUUsYUFBYSxDQUFDLENBQUM7SUFDMUUsSUFBSSxPQUFPLENBQUMsR0FBRyxDQUFDLGNBQWMsS0FBSyxTQUFTO1FBQ3hDLE9BQU8sR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLGNBQWMsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBRTdELElBQUksS0FBSyxHQUFHLENBQUMsQ0FBQztJQUNkLElBQUksSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFO1FBQzlDLE9BQU8sR0FBRyxJQUFJLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBQztRQUN4QixJQUFJLENBQUMsUUFBUSxDQUFDLGNBQWMsQ0FBQyxPQUFPLENBQUM7WUFDakMsTUFBTSxJQUFJLEtBQUssQ0FBQyx5QkFBeUIsT0FBTyxzQkFBc0IsTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ2hILElBQUksUUFBUSxDQUFDLE9BQU8sQ0FBQyxFQUFFO1lBQ25CLElBQUksS0FBSyxJQUFJLElBQUksQ0FBQyxNQUFNLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUM7Z0JBQ3BELE1BQU0sSUFBSSxLQUFLLENBQUMsT0FBTyxPQUFPLGdDQUFnQyxDQUFDLENBQUM7WUFDcEUsZUFBZSxHQUFHLElBQUksQ0FBQyxLQUFLLEVBQUUsQ0FBQyxDQUFDO1NBQ25DO0tBQ0o7SUFFRCxPQUFPLEtBQUssR0FBRyxJQUFJLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ2pDLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLFFBQVEsSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNO1lBQ25ELFFBQVEsR0FBRyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO2FBQzlDLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLE1BQU0sSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNO1lBQ3RELE1BQU0sR0FBRyxvQkFBb0IsQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFDO2FBQzVDLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLE1BQU0sSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNO1lBQ3RELFlBQVksR0FBRyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQzthQUM1QixJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxXQUFXLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUMzRCxXQUFXLEdBQUcsSUFBSSxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUM7YUFDM0IsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssVUFBVSxJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU07WUFDMUQsVUFBVSxHQUFHLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDO2FBQzFCLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLFdBQVc7WUFDaEMsUUFBUSxHQUFHLElBQUksQ0FBQzthQUNmLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLFVBQVUsSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNO1lBQzFELGVBQWUsR0FBRyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQzthQUMvQixJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxVQUFVLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUMxRCxhQUFhLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxFQUFFLGdCQUFnQixDQUFDLENBQUM7YUFDM0QsSUFBSSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssaUJBQWlCLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUNqRSxZQUFZLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxFQUFFLGVBQWUsQ0FBQyxDQUFDO2FBQ3pELElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLGlCQUFpQixJQUFJLEtBQUssR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLE1BQU07WUFDakUsWUFBWSxHQUFHLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsRUFBRSxlQUFlLENBQUMsQ0FBQzthQUN6RCxJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsS0FBSyxlQUFlLElBQUksS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTTtZQUMvRCxVQUFVLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxFQUFFLEtBQUssQ0FBQyxFQUFFLGFBQWEsQ0FBQyxDQUFDO2FBQ3JELElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxLQUFLLFlBQVksSUFBSSxLQUFLLEdBQUcsQ0FBQyxHQUFHLElBQUksQ0FBQyxNQUFNO1lBQzVELE9BQU8sR0FBRyxJQUFJLENBQUMsRUFBRSxLQUFLLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEVBQUUsQ0FBQyxDQUFDOztZQUU1QyxNQUFNLElBQUksS0FBSyxDQUFDLHFDQUFxQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDO0tBQzNFO0lBRUQsSUFBSSxPQUFPLEtBQUssUUFBUSxJQUFJLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxLQUFLLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQztRQUMzRSxNQUFNLElBQUksS0FBSyxDQUFDLG9EQUFvRCxDQUFDLENBQUM7SUFDMUUsSUFBSSxPQUFPLEtBQUssU0FBUyxJQUFJLFFBQVEsS0FBSyxTQUFTO1FBQy9DLE1BQU0sSUFBSSxLQUFLLENBQUMsaURBQWlELENBQUMsQ0FBQztJQUN2RSxJQUFJLENBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxLQUFLLENBQUUsQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQztRQUN0RCxNQUFNLElBQUksS0FBSyxDQUFDLHlCQUF5QixXQUFXLCtDQUErQyxDQUFDLENBQUM7SUFDekcsSUFBSSxVQUFVLEtBQUssU0FBUyxJQUFJLFdBQVcsS0FBSyxRQUFRO1FBQ3BELE1BQU0sSUFBSSxLQUFLLENBQUMsNEVBQTRFLENBQUMsQ0FBQztJQUNsRyxJQUFJLFFBQVEsS0FBSyxTQUFTLElBQUksTUFBTSxLQUFLLFNBQVMsSUFBSSxRQUFRLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQztRQUMxRSxNQUFNLElBQUksS0FBSyxDQUFDLGtEQUFrRCxDQUFDLENBQUM7SUFFeEUsSUFBSSxlQUFlLEtBQUssU0FBUyxFQUFFO1FBQy9CLElBQUksT0FBTyxLQUFLLFFBQVEsSUFBSSxPQUFPLEtBQUssYUFBYTtZQUNqRCxNQUFNLElBQUksS0FBSyxDQUFDLCtDQUErQyxPQUFPLFdBQVcsQ0FBQyxDQUFDO1FBQ3ZGLElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLGVBQWUsQ0FBQztZQUMvQixFQUFFLENBQUMsU0FBUyxDQUFDLGVBQWUsQ0FBQyxDQUFDO1FBQ2xDLGFBQWEsR0FBRyxpQkFBaUIsQ0FBQyxlQUFlLENBQUMsQ0FBQztLQUN0RDtTQUFNLElBQUksT0FBTyxLQUFLLFFBQVEsRUFBRTtRQUM3QixlQUFlLEdBQUcsZUFBZSxDQUFDO1FBQ2xDLElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsZUFBZSxFQUFFLHFCQUFxQixDQUFDLENBQUM7WUFDakUsTUFBTSxJQUFJLEtBQUssQ0FBQyxvQ0FBb0MsZUFBZSxJQUFJLENBQUMsQ0FBQztRQUM3RSxhQUFhLEdBQUcsaUJBQWlCLENBQUMsZUFBZSxDQUFDLENBQUM7S0FDdEQ7QUFDTCxDQUFDO0FBRUQsa0RBQWtEO0FBRWxELEtBQUssVUFBVSxVQUFVLENBQUMsUUFBUSxFQUFFLE9BQWdCO0lBQ2hELElBQUksT0FBTyxLQUFLLFNBQVMsRUFBRTtRQUN2QixNQUFNLFdBQVcsQ0FBQyxRQUFRLEVBQUUsUUFBUSxFQUFFLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUM7S0FDckY7U0FBTSxJQUFJLE9BQU8sS0FBSyxXQUFXLEVBQUU7UUFDaEMsTUFBTSxlQUFlLENBQUMsUUFBUSxDQUFDLENBQUM7S0FDbkM7U0FBTSxJQUFJLE9BQU8sS0FBSyxRQUFRLEVBQUU7UUFDN0IsTUFBTSxrQkFBa0IsQ0FBQyxRQUFRLEVBQUUsZUFBZSxFQUFFLFFBQVEsRUFBRSxNQUFNLENBQUMsQ0FBQztLQUN6RTtTQUFNLElBQUksT0FBTyxLQUFLLGFBQWEsRUFBRTtRQUNsQyxNQUFNLE9BQU8sQ0FBQyxlQUFlLEVBQUUsUUFBUSxFQUFFLE9BQU8sQ0FBQyxDQUFDO0tBQ3JEO1NBQU0sSUFBSSxPQUFPLEtBQUssUUFBUSxFQUFFO1FBQzdCLHlEQUF5RDtRQUV6RCxPQUFPLENBQUMsR0FBRyxDQUFDLG9DQUFvQyxlQUFlLElBQUksQ0FBQyxDQUFDO1FBQ3JFLEtBQUssSUFBSSxNQUFNLElBQUksYUFBYSxDQUFDLFFBQVEsRUFBRTtZQUN2QyxJQUFJLE1BQU0sQ0FBQyxpQkFBaUIsS0FBSyxTQUFTO2dCQUN0QyxNQUFNLE9BQU8sQ0FBQyxNQUFNLENBQUMsaUJBQWlCLEVBQUUsUUFBUSxFQUFFLE9BQU8sQ0FBQyxDQUFDOztnQkFFM0QsTUFBTSxLQUFLLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUUsWUFBWSxFQUFFLElBQUksQ0FBQyxFQUFFLE1BQU0sQ0FBQyxNQUFNLENBQUMsTUFBTSxFQUFFLFlBQVksRUFBRSxJQUFJLENBQUMsRUFBRSxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUM7U0FDOUg7S0FDSjtTQUFNLElBQUksUUFBUSxLQUFLLFNBQVMsRUFBRTtRQUMvQixxRUFBcUU7UUFFckUsTUFBTSxLQUFLLENBQUMsUUFBUSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUM7S0FDcEQ7U0FBTTtRQUNILDJEQUEyRDtRQUUzRCxNQUFNLEtBQUssQ0FBQyxNQUFNLEVBQUUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxFQUEwQyxRQUFRLENBQUMsRUFBRSxNQUFNLEVBQUUsRUFBRSxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFDakgsTUFBTSxLQUFLLENBQUMsSUFBSSxHQUFHLFNBQVMsQ0FBQyxDQUFDLEVBQUUsRUFBRSxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7UUFFNUMsbUZBQW1GO1FBQ25GLFlBQVk7UUFFWixNQUFNLFFBQVEsQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUM7S0FDckM7QUFDTCxDQUFDO0FBRUQsdUNBQXVDO0FBRXZDLEtBQUssVUFBVSxJQUFJO0lBQ2YsZ0JBQWdCLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUV4Qyx5QkFBeUI7SUFFekIsV0FBVyxHQUFHLEVBQUUsQ0FBQztJQUNqQixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNsRyxJQUFJLFlBQVksR0FBRyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ2pELFdBQVcsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsR0FBRyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUM7S0FDNUY7SUFFRCwwQkFBMEI7SUFFMUIsWUFBWSxHQUFHLEVBQUUsQ0FBQztJQUNsQixLQUFLLElBQUksV0FBVyxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUM7UUFDeEcsWUFBWSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsV0FBVyxFQUFFLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUV4RCxnR0FBZ0c7SUFDaEcsWUFBWTtJQUVaLGVBQWUsR0FBRyxFQUFFLENBQUM7SUFDckIsS0FBSyxJQUFJLElBQUksSUFBSSxFQUFFLENBQUMsWUFBWSxDQUFDLHFCQUFxQixDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUU7UUFDdEcsSUFBSSxjQUFjLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNyQyxlQUFlLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLElBQUksRUFBRSxDQUFDLEdBQUcsRUFBRSxRQUFRLEVBQUUsTUFBTSxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLFNBQVMsRUFBRSxNQUFNLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztLQUMzSTtJQUVELDJGQUEyRjtJQUMzRiw2RkFBNkY7SUFDN0YsdUVBQXVFO0lBRXZFLEtBQUssSUFBSSxVQUFVLElBQUksSUFBSSxHQUFHLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxXQUFXLENBQWEsQ0FBQyxFQUFFO1FBQ3BFLElBQUksV0FBVyxHQUFHLDRCQUE0QixDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztRQUNoRSxJQUFJLE1BQU0sR0FBRyxDQUFDLFdBQVcsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDbEUsSUFBSSxlQUFlLENBQUMsTUFBTSxDQUFDLEtBQUssU0FBUztZQUNyQyxPQUFPLENBQUMsR0FBRyxDQUFDLHdCQUF3QixNQUFNLDJDQUEyQyxDQUFDLENBQUM7S0FDOUY7SUFFRCxtQ0FBbUM7SUFFbkMsSUFBSSxRQUFRLEdBQUcsTUFBTSxrQkFBa0IsQ0FBQyxZQUFZLENBQUMsQ0FBQztJQUN0RCxJQUFJLE9BQU8sR0FBRyxhQUFhLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDdEMsSUFBSTtRQUNBLHlGQUF5RjtRQUV6RixJQUFJLE9BQU8sS0FBSyxRQUFRLElBQUksT0FBTyxLQUFLLGFBQWEsSUFBSSxPQUFPLEtBQUssUUFBUTtZQUN6RSxVQUFVLEdBQUcsRUFBRSxPQUFPLEVBQUUsT0FBTyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLFFBQVEsRUFBRSxXQUFXLEVBQUUsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLHFCQUFxQixDQUFDLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsQ0FBQyxFQUFFLGdCQUFnQixFQUFFLENBQUMsRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFLFlBQVksRUFBRSxDQUFDLEVBQUUsZ0JBQWdCLEVBQUUsQ0FBQyxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsQ0FBQztRQUV4UCxNQUFNLFVBQVUsQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUM7UUFFcEMsSUFBSSxVQUFVLEtBQUssU0FBUyxFQUFFO1lBQzFCLFVBQVUsQ0FBQyxhQUFhLEdBQUcsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLHFCQUFxQixDQUFDLENBQUM7WUFDbEUsTUFBTSxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsVUFBVSxDQUFDLENBQUM7WUFDN0MsT0FBTyxDQUFDLEdBQUcsQ0FBQyxVQUFVLFVBQVUsQ0FBQyxTQUFTLHlDQUF5QyxVQUFVLENBQUMsZ0JBQWdCLHNDQUFzQyxVQUFVLENBQUMsVUFBVSxVQUFVLFVBQVUsQ0FBQyxZQUFZLDRCQUE0QixVQUFVLENBQUMsZ0JBQWdCLDBCQUEwQixZQUFZLGNBQWMsQ0FBQyxDQUFDO1lBRXZULG9GQUFvRjtZQUNwRiwyQ0FBMkM7WUFFM0MsSUFBSSxVQUFVLENBQUMsZ0JBQWdCLEdBQUcsQ0FBQyxFQUFFO2dCQUNqQyxPQUFPLENBQUMsS0FBSyxDQUFDLDZEQUE2RCxDQUFDLENBQUM7Z0JBQzdFLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO2FBQ3hCO1lBRUQsb0ZBQW9GO1lBQ3BGLGdGQUFnRjtZQUVoRixJQUFJLFVBQVUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsRUFBRTtnQkFDL0QsT0FBTyxDQUFDLEtBQUssQ0FBQyxxREFBcUQsQ0FBQyxDQUFDO2dCQUNyRSxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQzthQUN4QjtTQUNKO0tBQ0o7WUFBUztRQUNOLE1BQU0sT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQ3RCLE1BQU0sYUFBYSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0tBQ2pDO0FBQ0wsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLEVBQUUsQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
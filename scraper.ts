@@ -7,6 +7,9 @@
 "use strict";
 
 import * as fs from "fs";
+import * as path from "path";
+import * as os from "os";
+import * as crypto from "crypto";
 import * as cheerio from "cheerio";
 import * as request from "request-promise-native";
 import * as sqlite3 from "sqlite3";
@@ -15,9 +18,90 @@ import * as didyoumean from "didyoumean2";
 
 sqlite3.verbose();
 
-const DevelopmentApplicationsUrl = "https://yorke.sa.gov.au/development/development-information/development-register/?pagenum={0}&gv_search=&filter_1=&filter_3=&gv_start={1}&gv_end={2}&filter_7=&mode=all";
+const DefaultSiteUrl = "https://yorke.sa.gov.au";
+const DevelopmentApplicationsUrl = "{site}/development/development-information/development-register/?pagenum={0}&gv_search=&filter_1=&filter_3=&gv_start={1}&gv_end={2}&filter_7=&mode=all";
 const InformationUrl = "https://yorke.sa.gov.au/development/development-information/development-register/?gv_search=&filter_1={0}&filter_3=&gv_start=&gv_end=&filter_7=&mode=all";
 const CommentUrl = "mailto:admin@yorke.sa.gov.au";
+const AuthorityName = "Yorke Peninsula Council";
+
+const DefaultDatabasePath = "data.sqlite";
+
+// The first recorded development application is 16th April 1997.
+
+const FirstBackfillMonth = moment("1997-04-01", "YYYY-MM-DD", true);
+
+// The maximum number of requests made when backfilling older months in a single run (this can be
+// overridden using the MORPH_REQUEST_BUDGET environment variable or the "--budget" option).
+
+const DefaultRequestBudget = 300;
+
+// The maximum number of requests made to the council web site in a single run, including retries
+// (this can be overridden using the MORPH_REQUEST_LIMIT environment variable or the
+// "--request-limit" option).
+
+const DefaultRequestLimit = 2000;
+
+// The minimum number of milliseconds between consecutive requests to the council web site (this
+// can be overridden using the MORPH_REQUEST_DELAY environment variable or the "--request-delay"
+// option).
+
+const DefaultRequestDelay = 1000;
+
+// A request that fails with a transient error (such as a timeout, a dropped connection or an HTTP
+// 429 or 5xx status) is attempted again after a delay that doubles after each failed attempt (the
+// initial delay in milliseconds can be overridden using the MORPH_RETRY_DELAY environment variable
+// or the "--retry-delay" option).
+
+const MaximumAttemptCount = 5;
+const DefaultRetryDelay = 5000;
+const RequestTimeout = 60000;
+
+// The keys on a development application page (in upper case) that are stored in typed columns of
+// the [data] table.  Several keys are listed for some columns because the council has used
+// different wording over time.  Any other keys are stored in the [data_fields] table.
+
+const DetailColumns = [
+    { column: "decision", keys: [ "DECISION", "DEVELOPMENT DECISION", "DECISION TYPE" ], isDate: false },
+    { column: "decision_date", keys: [ "DECISION DATE", "DATE OF DECISION", "DATE DECISION MADE" ], isDate: true },
+    { column: "applicant", keys: [ "APPLICANT", "APPLICANT NAME", "APPLICANT DETAILS" ], isDate: false },
+    { column: "land_description", keys: [ "LAND DESCRIPTION", "PROPERTY DESCRIPTION", "LEGAL DESCRIPTION", "TITLE DETAILS" ], isDate: false },
+    { column: "hundred", keys: [ "HUNDRED", "HUNDRED NAME" ], isDate: false },
+    { column: "category", keys: [ "CATEGORY", "DEVELOPMENT CATEGORY", "NOTIFICATION CATEGORY" ], isDate: false },
+    { column: "on_notice_from", keys: [ "ON NOTICE FROM", "NOTIFICATION FROM", "NOTIFICATION START DATE", "PUBLIC NOTIFICATION FROM" ], isDate: true },
+    { column: "on_notice_to", keys: [ "ON NOTICE TO", "NOTIFICATION TO", "NOTIFICATION END DATE", "NOTIFICATION CLOSING DATE", "PUBLIC NOTIFICATION TO" ], isDate: true }
+];
+
+// The columns of the [data] table that store the components of the formatted address (see the
+// formatAddress function), keyed by column.
+
+const AddressColumns = {
+    address_original: "original",
+    address_street_number: "streetNumber",
+    address_street_name: "streetName",
+    address_suburb: "suburb",
+    address_state: "state",
+    address_postcode: "postcode",
+    address_hundred: "hundred",
+    address_section: "section",
+    address_allotment: "allotment",
+    address_match: "match",
+    address_match_distance: "matchDistance"
+};
+
+// The keys on a development application page that are already parsed separately.
+
+const DANumberKey = "DA NUMBER";
+const ReceivedDateKey = "DATE APPLICATION RECEIVED";
+const DescriptionKey = "DEVELOPMENT DETAILS";
+
+// The maximum number of pages of search results parsed for a single search in one run (a safety
+// precaution).
+
+const MaximumPageCount = 100;
+
+// The expected format of an application number (for example, "545/001/18" or "545/D012/2018").
+
+const ApplicationNumberPattern = /^[0-9]+\/[A-Z]?[0-9]+\/([0-9]{2}|[0-9]{4})$/i;
 
 declare const process: any;
 
@@ -25,65 +109,491 @@ declare const process: any;
 
 let SuburbNames = undefined;
 let HundredNames = undefined;
+let SuburbCentroids = undefined;
+
+// Recording and replaying of pages (see the "--record" option and "replay" command).
+
+let RecordDirectory: string = undefined;
+let ReplayDirectory: string = undefined;
+let RecordedPages = undefined;
+
+const RecordedPagesFileName = "pages.json";
 
-// Sets up an sqlite database.
+// The number of requests made to the council web site during this run.
 
-async function initializeDatabase() {
-    return new Promise((resolve, reject) => {
-        let database = new sqlite3.Database("data.sqlite");
-        database.serialize(() => {
-            database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [on_notice_from] text, [on_notice_to] text)");
-            resolve(database);
+let RequestCount = 0;
+let RequestBudget = DefaultRequestBudget;
+let RequestLimit = DefaultRequestLimit;
+let RequestDelay = DefaultRequestDelay;
+let RetryDelay = DefaultRetryDelay;
+let LastRequestTime = 0;
+
+// The council web site (this can be overridden, for example, to test against a local HTTP server
+// using the MORPH_SITE_URL environment variable or the "--site-url" option).
+
+let SiteUrl = DefaultSiteUrl;
+
+// The command to run, its argument (such as a directory or an application number) and the other
+// command line options (see the parseCommandLine function).
+
+let Command = "scrape";
+let CommandArgument: string = undefined;
+let DateFrom: moment.Moment = undefined;
+let DateTo: moment.Moment = undefined;
+let DatabasePath = DefaultDatabasePath;
+let IsDryRun = false;
+let StorageType = "sqlite";
+let OutputPath: string = undefined;
+
+// A summary of the current run, including any problems found when validating the development
+// applications and any indications that the layout of the council web site has changed (see the
+// reportIssue function).
+
+let RunSummary = undefined;
+
+// The schema migrations for the database, applied in order.  The number of migrations already
+// applied is stored in the "user_version" of the database.  Each migration can also be applied
+// safely to a database created by an earlier version of the scraper (before migrations were
+// recorded), so tables are only created and columns only added if they do not already exist.
+
+const Migrations: ((database) => Promise<any>)[] = [
+    async database => await runSql(database, "create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [on_notice_from] text, [on_notice_to] text)"),
+    async database => await runSql(database, "create table if not exists [crawl_ledger] ([month] text primary key, [date_from] text, [date_to] text, [status] text, [last_page_number] integer, [application_count] integer, [date_started] text, [date_completed] text)"),
+    async database => {
+        await runSql(database, "create table if not exists [data_fields] ([council_reference] text, [key] text, [value] text, [date_scraped] text, primary key ([council_reference], [key]))");
+        await addMissingColumns(database, "data", DetailColumns.map(detailColumn => detailColumn.column));
+    },
+    async database => {
+        await runSql(database, "create table if not exists [data_history] ([council_reference] text, [field] text, [old_value] text, [new_value] text, [date_scraped] text)");
+        await runSql(database, "create index if not exists [data_history_date_scraped] on [data_history] ([date_scraped])");
+    },
+    async database => await addMissingColumns(database, "data", Object.keys(AddressColumns)),
+    async database => await runSql(database, "create table if not exists [page_cache] ([url] text primary key, [council_reference] text, [etag] text, [last_modified] text, [body] text, [date_retrieved] text)"),
+    async database => {
+        await runSql(database, "create table if not exists [run_summary] ([run_id] integer primary key autoincrement, [command] text, [date_started] text, [date_completed] text, [page_count] integer, [application_count] integer, [saved_count] integer, [invalid_count] integer, [layout_issue_count] integer, [request_count] integer, [is_layout_changed] integer)");
+        await runSql(database, "create table if not exists [run_issues] ([run_id] integer, [category] text, [council_reference] text, [url] text, [message] text)");
+    }
+];
+
+// Sets up an sqlite database (applying any schema migrations that have not yet been applied).
+// For a dry run a temporary copy of the database is used instead (so that the database itself is
+// never modified).
+
+async function initializeDatabase(databasePath: string) {
+    if (IsDryRun) {
+        let dryRunDatabasePath = path.join(os.tmpdir(), `dry-run-${process.pid}-${path.basename(databasePath)}`);
+        if (fs.existsSync(databasePath))
+            fs.copyFileSync(databasePath, dryRunDatabasePath);
+        console.log(`Dry run: changes will not be saved to "${databasePath}".`);
+        databasePath = dryRunDatabasePath;
+    }
+
+    let database = new sqlite3.Database(databasePath);
+    let version = (await getSql(database, "pragma user_version")).user_version;
+    for (; version < Migrations.length; version++) {
+        await runSql(database, "begin transaction");
+        await Migrations[version](database);
+        await runSql(database, `pragma user_version = ${version + 1}`);
+        await runSql(database, "commit");
+    }
+    return database;
+}
+
+// Closes the database (and deletes the temporary copy of the database used for a dry run).
+
+async function closeDatabase(database) {
+    await new Promise((resolve, reject) => {
+        database.close(function(error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
         });
     });
+    if (IsDryRun && fs.existsSync(database.filename))
+        fs.unlinkSync(database.filename);
 }
 
-// Inserts a row in the database if the row does not already exist.
-
-async function insertRow(database, developmentApplication) {
-    return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?, ?, ?)");
-        sqlStatement.run([
-            developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
-            developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
-            developmentApplication.scrapeDate,
-            developmentApplication.receivedDate,
-            null,
-            null
-        ], function(error, row) {
+// Runs an SQL statement against the database (returning the statement, which provides the
+// "lastID" and "changes" of the statement).
+
+async function runSql(database, sql: string, parameters: any[] = []) {
+    return new Promise<any>((resolve, reject) => {
+        database.run(sql, parameters, function(error) {
             if (error) {
                 console.error(error);
                 reject(error);
-            } else {
-                sqlStatement.finalize();  // releases any locks
-                console.log(`    Saved: application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\" and received date \"${developmentApplication.receivedDate}\" into the database.`);
-                resolve(true);  // indicate row was inserted
-            }
+            } else
+                resolve(this);
         });
     });
 }
 
-// Updates the inforation URL in a row in the database.
+// Gets the first row returned by an SQL query (returning undefined if there are no rows).
 
-async function updateRow(database, developmentApplication) {
-    return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("update [data] set [info_url] = ? where [info_url] like 'https://yorke.sa.gov.au/development/development-information/development-register/entry/%' and [council_reference] = ?");
-        sqlStatement.run([ developmentApplication.informationUrl, developmentApplication.applicationNumber ],
-        function(error, row) {
+async function getSql(database, sql: string, parameters: any[] = []) {
+    return new Promise<any>((resolve, reject) => {
+        database.get(sql, parameters, function(error, row) {
             if (error) {
                 console.error(error);
                 reject(error);
-            } else {
-                sqlStatement.finalize();  // releases any locks
+            } else
                 resolve(row);
-            }
         });
     });
 }
 
+// Gets all of the rows returned by an SQL query.
+
+async function allSql(database, sql: string, parameters: any[] = []) {
+    return new Promise<any[]>((resolve, reject) => {
+        database.all(sql, parameters, function(error, rows) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Adds the specified columns to a table if they are not already present (for example, when the
+// data.sqlite file was created by an earlier version of the scraper).
+
+async function addMissingColumns(database, tableName: string, columns: string[]) {
+    let columnNames = (await allSql(database, `pragma table_info([${tableName}])`)).map(row => row.name);
+
+    for (let column of columns)
+        if (columnNames.indexOf(column) < 0)
+            await runSql(database, `alter table [${tableName}] add column [${column}] ${(column === "address_match_distance") ? "integer" : "text"}`);
+}
+
+// Converts a development application to a row of the [data] table (keyed by column name).
+
+function toRow(developmentApplication) {
+    let row = {
+        council_reference: developmentApplication.applicationNumber,
+        address: developmentApplication.address,
+        description: developmentApplication.description,
+        info_url: developmentApplication.informationUrl,
+        comment_url: developmentApplication.commentUrl,
+        date_scraped: developmentApplication.scrapeDate,
+        date_received: developmentApplication.receivedDate
+    };
+    for (let detailColumn of DetailColumns)
+        row[detailColumn.column] = developmentApplication.details[detailColumn.column];
+    for (let column of Object.keys(AddressColumns))
+        row[column] = developmentApplication.formattedAddress[AddressColumns[column]];
+    return row;
+}
+
+// Logs that a development application has been saved.
+
+function logSaved(developmentApplication, destination: string) {
+    console.log(`    ${IsDryRun ? "Would save" : "Saved"}: application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\", description \"${developmentApplication.description}\" and received date \"${developmentApplication.receivedDate}\" into ${destination}.`);
+}
+
+// The storage of development applications.  Development applications are saved in batches (one
+// batch per page of search results).  The sqlite database is always used for the crawl ledger,
+// the page cache and the run summary, regardless of where development applications are stored.
+
+interface Storage {
+    getApplication(applicationNumber: string): Promise<any>;  // a row of the [data] table, or undefined
+    saveApplication(developmentApplication): Promise<void>;
+    beginBatch(): Promise<void>;
+    endBatch(): Promise<void>;
+    close(): Promise<void>;
+}
+
+// Stores development applications in the [data] and [data_fields] tables of the sqlite database
+// (recording any changes in the [data_history] table).  Each batch is saved in a transaction, and
+// prepared statements are reused for the whole run.
+
+class SqliteStorage implements Storage {
+    private database;
+    private statements = {};
+
+    constructor(database) {
+        this.database = database;
+    }
+
+    // Runs a prepared statement (preparing the statement the first time it is used).
+
+    private async run(sql: string, parameters: any[]) {
+        if (this.statements[sql] === undefined)
+            this.statements[sql] = this.database.prepare(sql);
+        let sqlStatement = this.statements[sql];
+        return new Promise((resolve, reject) => {
+            sqlStatement.run(parameters, function(error) {
+                if (error) {
+                    console.error(error);
+                    reject(error);
+                } else
+                    resolve(this);
+            });
+        });
+    }
+
+    async getApplication(applicationNumber: string) {
+        return await getSql(this.database, "select * from [data] where [council_reference] = ?", [ applicationNumber ]);
+    }
+
+    async saveApplication(developmentApplication) {
+        let row = toRow(developmentApplication);
+        await this.recordChanges(await this.getApplication(developmentApplication.applicationNumber), row);
+
+        let columns = Object.keys(row);
+        await this.run(`insert or replace into [data] (${columns.map(column => `[${column}]`).join(", ")}) values (${columns.map(column => "?").join(", ")})`, columns.map(column => row[column]));
+
+        // Replace the fields that are not stored in the [data] table (so that any keys added to
+        // the council web site are kept rather than dropped).
+
+        await this.run("delete from [data_fields] where [council_reference] = ?", [ row.council_reference ]);
+        for (let key of Object.keys(developmentApplication.otherFields))
+            await this.run("insert or replace into [data_fields] values (?, ?, ?, ?)", [ row.council_reference, key, developmentApplication.otherFields[key], row.date_scraped ]);
+
+        logSaved(developmentApplication, "the database");
+    }
+
+    // Records a row in the [data_history] table for each field of a development application that
+    // has changed since the development application was last scraped (the previous value would
+    // otherwise be lost when the row in the [data] table is replaced).
+
+    private async recordChanges(previousRow, row) {
+        if (previousRow === undefined)
+            return;
+
+        let fields = [ "address", "description", "date_received" ].concat(DetailColumns.map(detailColumn => detailColumn.column));
+        for (let field of fields) {
+            let oldValue = (previousRow[field] === undefined || previousRow[field] === null) ? "" : previousRow[field];
+            let newValue = (row[field] === undefined || row[field] === null) ? "" : row[field];
+            if (oldValue === newValue)
+                continue;
+
+            await this.run("insert into [data_history] values (?, ?, ?, ?, ?)", [ row.council_reference, field, oldValue, newValue, row.date_scraped ]);
+            console.log(`    ${IsDryRun ? "Would change" : "Changed"}: application \"${row.council_reference}\" ${field} from \"${oldValue}\" to \"${newValue}\".`);
+        }
+    }
+
+    async beginBatch() {
+        await runSql(this.database, "begin transaction");
+    }
+
+    async endBatch() {
+        await runSql(this.database, "commit");
+    }
+
+    async close() {
+        for (let sql of Object.keys(this.statements))
+            this.statements[sql].finalize();  // releases any locks
+        this.statements = {};
+    }
+}
+
+// Stores development applications in a file (either as newline-delimited JSON or as SQL that can
+// be loaded into PostgreSQL), so that the development applications can be loaded into another
+// database without reading the sqlite database.  The file is appended to on each run (so later
+// lines supersede earlier lines for the same development application).  Each batch is written
+// to the file in one go (and, for SQL, in a transaction).
+
+class FileStorage implements Storage {
+    private fileName: string;
+    private format: string;
+    private lines: string[] = [];
+    private applications = {};
+    private hasWrittenTables = false;
+
+    constructor(fileName: string, format: string) {
+        this.fileName = fileName;
+        this.format = format;
+    }
+
+    // Gets the SQL that creates the tables (if they do not already exist) and adds any columns
+    // that are missing (so that an SQL file appended to by an earlier version of the scraper can
+    // still be loaded after columns are added).
+
+    private static getCreateTablesSql() {
+        let columns = Object.keys(toRow({ details: {}, formattedAddress: {} })).filter(column => column !== "council_reference");
+        return [ "create table if not exists data (council_reference text primary key);" ].concat(
+            columns.map(column => `alter table data add column if not exists ${column} ${(column === "address_match_distance") ? "integer" : "text"};`),
+            [ "create table if not exists data_fields (council_reference text, key text, value text, date_scraped text, primary key (council_reference, key));" ]);
+    }
+
+    // Formats a value as a PostgreSQL literal.
+
+    private static formatSqlValue(value) {
+        if (value === undefined || value === null)
+            return "null";
+        if (typeof value === "number")
+            return value.toString();
+        return `'${value.toString().replace(/'/g, "''")}'`;
+    }
+
+    async getApplication(applicationNumber: string) {
+        return this.applications[applicationNumber];  // only development applications saved in this run are known
+    }
+
+    async saveApplication(developmentApplication) {
+        let row = toRow(developmentApplication);
+        this.applications[row.council_reference] = row;
+
+        if (this.format === "ndjson")
+            this.lines.push(JSON.stringify(Object.assign({}, row, { fields: developmentApplication.otherFields })));
+        else {
+            let columns = Object.keys(row);
+            let councilReference = FileStorage.formatSqlValue(row.council_reference);
+            this.lines.push(`insert into data (${columns.join(", ")}) values (${columns.map(column => FileStorage.formatSqlValue(row[column])).join(", ")}) on conflict (council_reference) do update set ${columns.filter(column => column !== "council_reference").map(column => `${column} = excluded.${column}`).join(", ")};`);
+            this.lines.push(`delete from data_fields where council_reference = ${councilReference};`);
+            for (let key of Object.keys(developmentApplication.otherFields))
+                this.lines.push(`insert into data_fields (council_reference, key, value, date_scraped) values (${councilReference}, ${FileStorage.formatSqlValue(key)}, ${FileStorage.formatSqlValue(developmentApplication.otherFields[key])}, ${FileStorage.formatSqlValue(row.date_scraped)});`);
+        }
+
+        logSaved(developmentApplication, `"${this.fileName}"`);
+    }
+
+    async beginBatch() {
+        this.lines = [];
+    }
+
+    async endBatch() {
+        if (this.lines.length > 0 && !IsDryRun) {
+            let lines = (this.format === "sql") ? [ "begin;" ].concat(this.lines, [ "commit;" ]) : this.lines;
+
+            // Create the tables the first time that development applications are written in this
+            // run (rather than whenever the storage is created, which also happens for commands
+            // that do not save any development applications).
+
+            if (this.format === "sql" && !this.hasWrittenTables) {
+                lines = FileStorage.getCreateTablesSql().concat(lines);
+                this.hasWrittenTables = true;
+            }
+
+            fs.appendFileSync(this.fileName, lines.join("\n") + "\n");
+        }
+        this.lines = [];
+    }
+
+    async close() {
+    }
+}
+
+// Creates the storage for development applications (see the "--storage" and "--output" command
+// line options).
+
+function createStorage(database): Storage {
+    if (StorageType === "sqlite")
+        return new SqliteStorage(database);
+    return new FileStorage((OutputPath === undefined) ? `data.${StorageType}` : OutputPath, StorageType);
+}
+
+// Gets the changes recorded in the [data_history] table for development applications scraped in
+// the specified date range (inclusive).
+
+async function getChanges(database, dateFrom: moment.Moment, dateTo: moment.Moment) {
+    return await allSql(database, "select * from [data_history] where [date_scraped] >= ? and [date_scraped] <= ? order by [council_reference], [date_scraped], [rowid]", [ dateFrom.format("YYYY-MM-DD"), dateTo.format("YYYY-MM-DD") ]);
+}
+
+// Gets the development applications with addresses where the suburb name was only matched by
+// allowing for a spelling error or was not recognised at all.
+
+async function getUnresolvedAddresses(database) {
+    return await allSql(database, "select [council_reference], [address], [address_original], [address_hundred], [address_match], [address_match_distance] from [data] where [address_match] in ('fuzzy', 'unresolved') order by [address_match] desc, [address_original]");
+}
+
+// Gets the development applications received in the specified date range (inclusive), or all
+// development applications if no date range is specified.
+
+async function getRows(database, dateFrom: moment.Moment, dateTo: moment.Moment) {
+    let dateFromText = (dateFrom === undefined) ? null : dateFrom.format("YYYY-MM-DD");
+    let dateToText = (dateTo === undefined) ? null : dateTo.format("YYYY-MM-DD");
+    return await allSql(database, "select * from [data] where (? is null or [date_received] >= ?) and (? is null or [date_received] <= ?) order by [date_received], [council_reference]", [ dateFromText, dateFromText, dateToText, dateToText ]);
+}
+
+// Gets all months recorded in the crawl ledger (keyed by month, for example, "1997-04").
+
+async function getCrawlLedger(database) {
+    let crawlLedger = {};
+    for (let row of await allSql(database, "select * from [crawl_ledger]"))
+        crawlLedger[row.month] = row;
+    return crawlLedger;
+}
+
+// Inserts or updates a month in the crawl ledger.
+
+async function updateCrawlLedger(database, crawledMonth) {
+    await runSql(database, "insert or replace into [crawl_ledger] values (?, ?, ?, ?, ?, ?, ?, ?)", [
+        crawledMonth.month,
+        crawledMonth.date_from,
+        crawledMonth.date_to,
+        crawledMonth.status,
+        crawledMonth.last_page_number,
+        crawledMonth.application_count,
+        crawledMonth.date_started,
+        crawledMonth.date_completed
+    ]);
+}
+
+// Gets the cached copy of a development application page (returning undefined if the page has not
+// been cached).
+
+async function getCachedPage(database, url: string) {
+    return await getSql(database, "select * from [page_cache] where [url] = ?", [ url ]);
+}
+
+// Caches a development application page (retaining the application number associated with the
+// page if the page was previously cached).
+
+async function updateCachedPage(database, url: string, etag: string, lastModified: string, body: string) {
+    await runSql(database, "insert or replace into [page_cache] values (?, (select [council_reference] from [page_cache] where [url] = ?), ?, ?, ?, ?)", [
+        url,
+        url,
+        etag,
+        lastModified,
+        body,
+        moment().format("YYYY-MM-DD HH:mm:ss")
+    ]);
+}
+
+// Associates a cached development application page with its application number.
+
+async function updateCachedPageApplicationNumber(database, url: string, applicationNumber: string) {
+    await runSql(database, "update [page_cache] set [council_reference] = ? where [url] = ?", [ applicationNumber, url ]);
+}
+
+// Determines whether the development application associated with the specified page is already
+// complete in the database (that is, a decision has been made, so the page is not expected to
+// change and there is no need to retrieve the page again).
+
+async function isCompleteInDatabase(database, storage: Storage, url: string) {
+    let cachedPage = await getCachedPage(database, url);
+    if (cachedPage === undefined || cachedPage.council_reference === null)
+        return false;
+    let row = await storage.getApplication(cachedPage.council_reference);
+    return row !== undefined &&
+        [ row.description, row.date_received, row.decision, row.decision_date ].every(value => value !== null && value !== undefined && value !== "");
+}
+
+// Saves the summary of the current run (and any issues found during the run) to the database.
+
+async function insertRunSummary(database, runSummary) {
+    let statement = await runSql(database, "insert into [run_summary] ([command], [date_started], [date_completed], [page_count], [application_count], [saved_count], [invalid_count], [layout_issue_count], [request_count], [is_layout_changed]) values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)", [
+        runSummary.command,
+        runSummary.dateStarted,
+        runSummary.dateCompleted,
+        runSummary.pageCount,
+        runSummary.applicationCount,
+        runSummary.savedCount,
+        runSummary.invalidCount,
+        runSummary.layoutIssueCount,
+        RequestCount,
+        (runSummary.layoutIssueCount > 0) ? 1 : 0
+    ]);
+
+    for (let issue of runSummary.issues)
+        await runSql(database, "insert into [run_issues] values (?, ?, ?, ?, ?)", [ statement.lastID, issue.category, issue.applicationNumber, issue.url, issue.message ]);
+}
+
 // Gets a random integer in the specified range: [minimum, maximum).
 
 function getRandom(minimum: number, maximum: number) {
@@ -96,17 +606,281 @@ function sleep(milliseconds: number) {
     return new Promise(resolve => setTimeout(resolve, milliseconds));
 }
 
-// Format the address, ensuring that it has a valid suburb name, state and post code.
+// Reads the index of recorded pages from the specified directory (or creates an empty index if
+// no pages have been recorded in that directory yet).
+
+function readRecordedPages(directory: string) {
+    let indexFileName = path.join(directory, RecordedPagesFileName);
+    if (!fs.existsSync(indexFileName))
+        return { searches: [], pages: {}, failures: {} };
+    return Object.assign({ searches: [], pages: {}, failures: {} }, JSON.parse(fs.readFileSync(indexFileName).toString()));
+}
+
+// Writes the index of recorded pages to the record directory.
+
+function writeRecordedPages() {
+    fs.writeFileSync(path.join(RecordDirectory, RecordedPagesFileName), JSON.stringify(RecordedPages, null, 4));
+}
+
+// Notes that a search (either for a date range or for a single application number) is being
+// recorded (so that the same search can be repeated when replaying).
+
+function recordSearch(search) {
+    if (!RecordedPages.searches.some(existingSearch => existingSearch.dateFrom === search.dateFrom && existingSearch.dateTo === search.dateTo && existingSearch.applicationNumber === search.applicationNumber))
+        RecordedPages.searches.push(search);
+    writeRecordedPages();
+}
+
+// Gets the key of a recorded page in the index of recorded pages.  This is the path and query of
+// the URL (without the scheme and host) so that pages recorded using one site URL can be replayed
+// using another (for example, when recorded from a local copy of the council web site).
+
+function getRecordedPageKey(url: string) {
+    return url.replace(/^[a-z][a-z0-9+.-]*:\/\/[^\/]*/i, "");
+}
+
+// Determines whether the page at the specified URL is needed when replaying but was not recorded
+// (neither the page itself nor a failure to retrieve the page).
+
+function isMissingRecordedPage(url: string) {
+    let key = getRecordedPageKey(url);
+    return ReplayDirectory !== undefined && RecordedPages.pages[key] === undefined && RecordedPages.failures[key] === undefined;
+}
+
+// Retrieves the HTML of the page at the specified URL.  When replaying, the page is read from a
+// previously recorded file instead of being requested from the council web site.  When recording,
+// the entire page is also saved to a file (named using a hash of the URL), or the reason that the
+// page could not be retrieved is saved in the index of recorded pages.  When a database is
+// specified the table of details on the page is cached in the database and revalidated using the
+// ETag and Last-Modified headers (except when recording, so that the entire page is retrieved).
+
+async function retrievePage(url: string, database = undefined) {
+    if (ReplayDirectory !== undefined) {
+        let failure = RecordedPages.failures[getRecordedPageKey(url)];
+        if (failure !== undefined)
+            throw new Error(failure);
+        let fileName = RecordedPages.pages[getRecordedPageKey(url)];
+        if (fileName === undefined) {
+            reportIssue("missing", `No recorded page was found in "${ReplayDirectory}".`, null, url);
+            throw new Error(`No recorded page was found in "${ReplayDirectory}" for ${url}`);
+        }
+        return fs.readFileSync(path.join(ReplayDirectory, fileName)).toString();
+    }
+
+    let cachedPage = (database === undefined || RecordDirectory !== undefined) ? undefined : await getCachedPage(database, url);
+    if (cachedPage !== undefined && cachedPage.body === null)
+        cachedPage = undefined;  // nothing to revalidate
+    let headers = {};
+    if (cachedPage !== undefined && cachedPage.etag !== null)
+        headers["If-None-Match"] = cachedPage.etag;
+    if (cachedPage !== undefined && cachedPage.last_modified !== null)
+        headers["If-Modified-Since"] = cachedPage.last_modified;
+
+    let response = undefined;
+    try {
+        response = await requestWithRetries(url, headers);
+    } catch (error) {
+        if (RecordDirectory !== undefined) {
+            RecordedPages.failures[getRecordedPageKey(url)] = error.message;
+            delete RecordedPages.pages[getRecordedPageKey(url)];
+            writeRecordedPages();
+        }
+        throw error;
+    }
+    let body = response.body;
+    if (response.statusCode === 304 && cachedPage !== undefined)
+        body = cachedPage.body;  // not modified
+    else if (database !== undefined) {
+        // Only the table of development application details is cached (rather than the entire
+        // page) to keep the database small.  When the table is missing nothing is cached so that
+        // the page is requested in full next time.
+
+        let $ = cheerio.load(body);
+        let table = $("table.gv-table-view-content").first();
+        if (table.length === 0)
+            await updateCachedPage(database, url, null, null, null);
+        else
+            await updateCachedPage(database, url, response.headers["etag"] || null, response.headers["last-modified"] || null, $.html(table));
+    }
+
+    if (RecordDirectory !== undefined) {
+        let fileName = crypto.createHash("sha1").update(url).digest("hex").substring(0, 16) + ".html";
+        fs.writeFileSync(path.join(RecordDirectory, fileName), body);
+        RecordedPages.pages[getRecordedPageKey(url)] = fileName;
+        delete RecordedPages.failures[getRecordedPageKey(url)];
+        writeRecordedPages();
+    }
+
+    return body;
+}
+
+// Requests the page at the specified URL, waiting at least the minimum delay since the previous
+// request, and attempting the request again (with an exponentially increasing delay) if a
+// transient error occurs.  Throws an error if the request limit for this run is reached.
+
+async function requestWithRetries(url: string, headers) {
+    let retryDelay = RetryDelay;
+    for (let attempt = 1; ; attempt++) {
+        if (RequestCount >= RequestLimit)
+            throw new Error(`The limit of ${RequestLimit} requests for this run was reached before requesting ${url}`);
+
+        await sleep(Math.max(0, LastRequestTime + RequestDelay - Date.now()));
+        LastRequestTime = Date.now();
+        RequestCount++;
+
+        let error = undefined;
+        try {
+            let response = await request({ url: url, headers: headers, rejectUnauthorized: false, proxy: process.env.MORPH_PROXY, timeout: RequestTimeout, resolveWithFullResponse: true, simple: false });
+            if (response.statusCode < 400)
+                return response;
+            error = new Error(`The request for ${url} failed with HTTP status ${response.statusCode}.`);
+            if (response.statusCode !== 429 && response.statusCode < 500)
+                throw error;  // not a transient error
+        } catch (requestError) {
+            if (requestError === error)
+                throw error;
+            error = requestError;
+        }
+
+        if (attempt >= MaximumAttemptCount)
+            throw error;
+        console.log(`Attempt ${attempt} of ${MaximumAttemptCount} failed (${error.message}); retrying in ${retryDelay / 1000} seconds.`);
+        await sleep(retryDelay);
+        retryDelay *= 2;
+    }
+}
+
+// Pauses between requests to avoid overloading the council web site (there is no need to pause
+// when replaying recorded pages).
+
+async function pause(milliseconds: number) {
+    if (ReplayDirectory === undefined)
+        await sleep(milliseconds);
+}
+
+// Records an issue found during the current run.  The category is "invalid" for a development
+// application that failed validation, "layout" when an expected part of a page is missing (which
+// indicates that the layout of the council web site may have changed), "fetch" when a page could
+// not be retrieved from the council web site, "missing" when a page being replayed was not
+// recorded or "limit" when the safety limit on the number of pages was reached.
+
+function reportIssue(category: string, message: string, applicationNumber: string = null, url: string = null) {
+    console.log(`    Issue (${category}): ${message}${(applicationNumber === null) ? "" : ` [application "${applicationNumber}"]`}${(url === null) ? "" : ` [${url}]`}`);
+    if (RunSummary === undefined)
+        return;
+    RunSummary.issues.push({ category: category, message: message, applicationNumber: applicationNumber, url: url });
+    if (category === "invalid")
+        RunSummary.invalidCount++;
+    else if (category === "layout")
+        RunSummary.layoutIssueCount++;
+}
+
+// Validates a development application, returning a description of each problem found (an empty
+// array is returned if the development application is valid).
+
+function validateApplication(developmentApplication) {
+    let problems = [];
+    if (!ApplicationNumberPattern.test(developmentApplication.applicationNumber))
+        problems.push(`The application number "${developmentApplication.applicationNumber}" is not in the expected format.`);
+    if (developmentApplication.receivedDate === "")
+        problems.push("The received date is missing or invalid.");
+    else if (moment(developmentApplication.receivedDate, "YYYY-MM-DD", true).isAfter(moment(), "day"))
+        problems.push(`The received date ${developmentApplication.receivedDate} is in the future.`);
+    if (developmentApplication.description === "")
+        problems.push("The description is empty.");
+
+    // An address that is only a hundred (such as "HD CLINTON" or "Section 123 HD CLINTON") has no
+    // suburb, so the suburb is only expected if there is also a street.
+
+    let formattedAddress = developmentApplication.formattedAddress;
+    let isHundredOnly = (formattedAddress.hundred !== null && formattedAddress.streetName === null && formattedAddress.suburb === null);
+    if (formattedAddress.match === "unresolved" && !isHundredOnly)
+        problems.push(`The suburb was not recognised in the address "${developmentApplication.address}".`);
+    return problems;
+}
+
+// Parses a date from a development application page (returning an empty string if the date is
+// invalid or missing).  Both "10/02/2020" and "10/2/2020" are accepted.
+
+function parseDate(text: string) {
+    let date = moment(text.trim(), [ "D/MM/YYYY", "D/M/YYYY" ], true);
+    return date.isValid() ? date.format("YYYY-MM-DD") : "";
+}
+
+// Parses the fields of a development application page into the typed detail columns (using the
+// same key and date formats as the council web site) and the remaining "other" fields.
+
+function parseDetails(fields) {
+    let details = {};
+    let otherFields = {};
+    for (let key of Object.keys(fields)) {
+        if (key === DANumberKey || key === ReceivedDateKey || key === DescriptionKey)
+            continue;
+        let detailColumn = DetailColumns.find(detailColumn => detailColumn.keys.indexOf(key) >= 0);
+        let value = (detailColumn !== undefined && detailColumn.isDate) ? parseDate(fields[key]) : fields[key];
+
+        // Keep the original key and value as an "other" field if there is no column for the key,
+        // if the column is already filled by another key (for example, "DECISION TYPE" when there
+        // is also a "DECISION" key) or if a date could not be parsed (so that nothing is dropped).
+
+        if (detailColumn === undefined || (details[detailColumn.column] !== undefined && details[detailColumn.column] !== "") || (value === "" && fields[key].trim() !== ""))
+            otherFields[key] = fields[key];
+        if (detailColumn !== undefined && (details[detailColumn.column] === undefined || details[detailColumn.column] === ""))
+            details[detailColumn.column] = value;
+    }
+
+    // Obtain the hundred name from the land description if there is no separate hundred key (for
+    // example, "Section 123 HD CLINTON" or "Allotment 4 Hundred of Melville").
+
+    if ((details["hundred"] === undefined || details["hundred"] === "") && details["land_description"] !== undefined) {
+        let hundredMatch = /\b(?:HD|HUNDRED OF|HUNDRED)\.?\s+([A-Z]+)/i.exec(details["land_description"]);
+        if (hundredMatch !== null && HundredNames.indexOf(hundredMatch[1].toUpperCase()) >= 0)
+            details["hundred"] = hundredMatch[1].toUpperCase();
+    }
+
+    for (let detailColumn of DetailColumns)
+        if (details[detailColumn.column] === undefined || details[detailColumn.column] === "")
+            details[detailColumn.column] = null;
+
+    return { details: details, otherFields: otherFields };
+}
+
+// Format the address, ensuring that it has a valid suburb name, state and post code.  Returns
+// the formatted address along with its components (street number, street name, suburb, state,
+// post code, hundred, section and allotment) and how the suburb name was matched: "exact",
+// "fuzzy" (allowing for a spelling error, with the edit distance) or "unresolved".
 
 function formatAddress(address: string) {
+    let formattedAddress = {
+        address: "",
+        original: address,
+        streetNumber: null,
+        streetName: null,
+        suburb: null,
+        state: null,
+        postcode: null,
+        hundred: null,
+        section: null,
+        allotment: null,
+        match: "unresolved",
+        matchDistance: null
+    };
+
+    // Retain any hundred name in brackets (that often appears after the suburb name) such as in
+    // "106 Sultana Point Road EDITHBURGH (Hd Melville)".
+
+    let hundredMatch = / \(Hd\.? *(.*?)\)/i.exec(address);
+    if (hundredMatch !== null && hundredMatch[1].trim() !== "")
+        formattedAddress.hundred = hundredMatch[1].toUpperCase().trim();
+
     // Remove a dot at the start of the address such as in ". HD CLINTON" or a dot in the middle
     // of an address such as in "7 The Esplanade . MARION BAY".  Remove any hundred name in
-    // brackets (that often appears after the suburb name) such as in "106 Sultana Point Road
-    // EDITHBURGH (Hd Melville)".  Replace multiple consecutive spaces with single spaces.
+    // brackets.  Replace multiple consecutive spaces with single spaces.
 
     address = address.replace(/^\. /g, " ").replace(/ \. /g, " ").replace(/ \(Hd.*?\)/gi, "").replace(/\s\s+/g, " ").trim();
+    formattedAddress.address = address;
     if (address === "")
-        return address;
+        return formattedAddress;
 
     // Do not attempt to format the address if it ends in a hundred name.  Otherwise the hundred
     // name may be incorrectly interpreted as a suburb name.  For example, "HD CLINTON"
@@ -115,7 +889,9 @@ function formatAddress(address: string) {
     for (let hundredName of HundredNames) {
         if (uppercaseAddress.toUpperCase() === "HD " + hundredName || uppercaseAddress.endsWith(" HD " + hundredName)) {
             console.log(`The state and post code will not be added because the address ends with a hundred name: ${address}`);
-            return address;
+            formattedAddress.hundred = hundredName;
+            parseStreet(address.substring(0, address.length - ("HD " + hundredName).length).trim(), formattedAddress);
+            return formattedAddress;
         }
     }
 
@@ -127,89 +903,281 @@ function formatAddress(address: string) {
 
     let suburbName = null;
     for (let index = 4; index >= 1; index--) {
-        let suburbNameMatch = didyoumean(tokens.slice(-index).join(" "), Object.keys(SuburbNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true });
+        let suburbNameText = tokens.slice(-index).join(" ");
+        let suburbNameMatch = didyoumean(suburbNameText, Object.keys(SuburbNames), { caseSensitive: false, returnType: "first-closest-match", thresholdType: "edit-distance", threshold: 1, trimSpace: true });
         if (suburbNameMatch !== null) {
             suburbName = SuburbNames[suburbNameMatch];
-            tokens.splice(-index, index);  // remove elements from the end of the array           
+            tokens.splice(-index, index);  // remove elements from the end of the array
+
+            // Only an edit distance of zero or one is accepted (see the threshold above).
+
+            formattedAddress.matchDistance = (suburbNameText.toUpperCase().replace(/\s+/g, " ").trim() === suburbNameMatch) ? 0 : 1;
+            formattedAddress.match = (formattedAddress.matchDistance === 0) ? "exact" : "fuzzy";
             break;
         }
     }
 
     if (suburbName === null) {  // suburb name not found (or not recognised)
         console.log(`The state and post code will not be added because the suburb was not recognised: ${address}`);
-        return address;
+        parseStreet(address, formattedAddress);
+        return formattedAddress;
+    }
+
+    // Separate the suburb name from its state and post code (for example, "MINLATON SA 5575").
+
+    let suburbMatch = /^(.*) ([A-Z]+) ([0-9]{4})$/.exec(suburbName);
+    if (suburbMatch === null)
+        formattedAddress.suburb = suburbName;
+    else {
+        formattedAddress.suburb = suburbMatch[1];
+        formattedAddress.state = suburbMatch[2];
+        formattedAddress.postcode = suburbMatch[3];
     }
 
     // Add the suburb name with its state and post code to the street name.
 
     let streetName = tokens.join(" ").trim();
-    return (streetName + ((streetName === "") ? "" : ", ") + suburbName).trim();
+    parseStreet(streetName, formattedAddress);
+    formattedAddress.address = (streetName + ((streetName === "") ? "" : ", ") + suburbName).trim();
+    return formattedAddress;
+}
+
+// Parses the street part of an address (that is, the address without the suburb name) into the
+// section, allotment, street number and street name.  For example, "Lot 5 Section 123 12 Main
+// Street" or "12A Main Street".
+
+function parseStreet(street: string, formattedAddress) {
+    let sectionMatch = /\b(?:SECTION|SECT|SEC)\.? *([0-9]+[A-Z]?)\b/i.exec(street);
+    if (sectionMatch !== null) {
+        formattedAddress.section = sectionMatch[1].toUpperCase();
+        street = street.replace(sectionMatch[0], " ");
+    }
+
+    let allotmentMatch = /\b(?:ALLOTMENT|ALLOT|LOT)\.? *([0-9]+[A-Z]?)\b/i.exec(street);
+    if (allotmentMatch !== null) {
+        formattedAddress.allotment = allotmentMatch[1].toUpperCase();
+        street = street.replace(allotmentMatch[0], " ");
+    }
+
+    street = street.replace(/\s\s+/g, " ").replace(/^[ ,]+|[ ,]+$/g, "");
+
+    let streetNumberMatch = /^([0-9]+[A-Z]?(?: *[-\/] *[0-9]+[A-Z]?)?),? (.*)$/i.exec(street);
+    if (streetNumberMatch !== null) {
+        formattedAddress.streetNumber = streetNumberMatch[1].replace(/ /g, "").toUpperCase();
+        street = streetNumberMatch[2];
+    }
+
+    formattedAddress.streetName = (street === "") ? null : street;
 }
 
-// Parses the development applications in the specified date range.
+// Parses the development applications in the specified date range, starting at the specified
+// page of the search results.  Parsing stops early (before retrieving the next page) once the
+// specified number of requests have been made during this run, or once the maximum number of
+// pages of search results have been parsed.  The optional callback is invoked after each page of
+// search results has been parsed (with the number of development applications on that page that
+// were skipped because their pages could not be retrieved).  Returns true if the last page of the
+// search results was reached without skipping any development applications.
 
-async function parse(dateFrom: moment.Moment, dateTo: moment.Moment, database) {
+async function parse(dateFrom: moment.Moment, dateTo: moment.Moment, database, storage: Storage, firstPageNumber: number = 1, requestLimit: number = Infinity, onPageParsed: (pageNumber: number, applicationCount: number, skippedCount: number) => Promise<any> = undefined) {
     console.log(`Retrieving development applications from ${dateFrom.format("YYYY-MM-DD")} to ${dateTo.format("YYYY-MM-DD")}.`);
 
     let dateFromText = encodeURIComponent(dateFrom.format("DD/MM/YYYY"));
     let dateToText = encodeURIComponent(dateTo.format("DD/MM/YYYY"));
 
-    // Step through each page of the results for the specified date range.
+    if (RecordDirectory !== undefined)
+        recordSearch({ dateFrom: dateFrom.format("YYYY-MM-DD"), dateTo: dateTo.format("YYYY-MM-DD") });
+
+    let getPageUrl = (pageNumber: number) => DevelopmentApplicationsUrl.replace(/\{site\}/g, SiteUrl).replace(/\{0\}/g, pageNumber.toString()).replace(/\{1\}/g, dateFromText).replace(/\{2\}/g, dateToText);
+    return await parsePages(getPageUrl, database, storage, firstPageNumber, requestLimit, onPageParsed);
+}
+
+// Retrieves the development application with the specified application number again (even if it
+// is already complete in the database), by searching for the application number.  Returns true
+// if the development application was found.
+
+async function refresh(applicationNumber: string, database, storage: Storage) {
+    console.log(`Retrieving development application "${applicationNumber}".`);
+
+    if (RecordDirectory !== undefined)
+        recordSearch({ applicationNumber: applicationNumber });
+
+    let informationUrl = InformationUrl.replace(DefaultSiteUrl, SiteUrl).replace(/\{0\}/g, encodeURIComponent(applicationNumber));
+    let getPageUrl = (pageNumber: number) => (pageNumber === 1) ? informationUrl : `${informationUrl}&pagenum=${pageNumber}`;
+    let applicationCount = 0;
+    await parsePages(getPageUrl, database, storage, 1, Infinity, async (pageNumber, pageApplicationCount) => { applicationCount += pageApplicationCount; }, applicationNumber);
+
+    if (applicationCount === 0)
+        console.log(`Could not find development application "${applicationNumber}".`);
+    return applicationCount > 0;
+}
+
+// Parses the development applications in each page of search results (where the URL of each
+// page is obtained from the specified function), as described for the parse function.  If an
+// application number is specified then only that development application is parsed (and it is
+// parsed even if it is already complete in the database).
+
+async function parsePages(getPageUrl: (pageNumber: number) => string, database, storage: Storage, firstPageNumber: number, requestLimit: number, onPageParsed: (pageNumber: number, applicationCount: number, skippedCount: number) => Promise<any>, refreshApplicationNumber: string = undefined) {
+    // Step through each page of the search results.
+
+    let totalSkippedCount = 0;
+    let pageNumber = firstPageNumber - 1;
+    while (pageNumber++ < firstPageNumber - 1 + MaximumPageCount) {  // safety precaution
+        if (RequestCount >= requestLimit || RequestCount >= RequestLimit) {
+            console.log(`Stopped before page ${pageNumber} because the request budget was used up.`);
+            return false;
+        }
 
-    let pageNumber = 0;
-    while (pageNumber++ < 100) {  // safety precaution
-        let developmentApplicationsUrl = DevelopmentApplicationsUrl.replace(/\{0\}/g, pageNumber.toString()).replace(/\{1\}/g, dateFromText).replace(/\{2\}/g, dateToText);
+        let developmentApplicationsUrl = getPageUrl(pageNumber);
         console.log(`Retrieving page ${pageNumber}: ${developmentApplicationsUrl}`);
 
-        let body = await request({ url: developmentApplicationsUrl, rejectUnauthorized: false, proxy: process.env.MORPH_PROXY });
-        await sleep(2000 + getRandom(0, 5) * 1000);
+        let body = undefined;
+        try {
+            body = await retrievePage(developmentApplicationsUrl);
+        } catch (error) {
+            console.error(`Stopped at page ${pageNumber} because the page could not be retrieved: ${error.message}`);
+            if (!isMissingRecordedPage(developmentApplicationsUrl))  // already reported
+                reportIssue("fetch", `The page of search results could not be retrieved: ${error.message}`, null, developmentApplicationsUrl);
+            return false;
+        }
         let $ = cheerio.load(body);
+        if (RunSummary !== undefined)
+            RunSummary.pageCount++;
 
-        // Parse the search results.
+        // Parse the search results (checking that the expected table is present, because if it
+        // is not then it is likely that the layout of the page has changed).
 
-        for (let trElement of $("table.gv-table-view tr").get()) {
-            let developmentApplicationUrl = $(trElement).find("#gv-field-31-1 a").attr("href");
-            if (developmentApplicationUrl === undefined)
-                continue;
+        if ($("table.gv-table-view").length === 0)
+            reportIssue("layout", "The search results page does not contain the expected table.gv-table-view element.", null, developmentApplicationsUrl);
+
+        // Save the development applications on this page (and update the crawl ledger) as a
+        // single batch.
 
-            // Obtain the description for the application.
+        let applicationCount = 0;
+        let skippedCount = 0;
+        await storage.beginBatch();
+        try {
+            for (let trElement of $("table.gv-table-view tr").get()) {
+                if ($(trElement).find("td").length === 0)
+                    continue;  // heading row
+                let developmentApplicationUrl = $(trElement).find("#gv-field-31-1 a").attr("href");
+                if (developmentApplicationUrl === undefined) {
+                    if ($(trElement).find("td").length > 1)  // a single cell is used for "no results"
+                        reportIssue("layout", "A search result row does not contain the expected #gv-field-31-1 link.", null, developmentApplicationsUrl);
+                    continue;
+                }
+                if ($(trElement).find("#gv-field-31-7").length === 0)
+                    reportIssue("layout", "A search result row does not contain the expected #gv-field-31-7 address.", null, developmentApplicationUrl);
 
-            let childBody = await request({ url: developmentApplicationUrl, rejectUnauthorized: false, proxy: process.env.MORPH_PROXY });
-            let childPage = cheerio.load(childBody);
+                // Skip the application if it is already complete in the database (there is no
+                // need to check this when replaying because nothing is requested from the council
+                // web site, and it is not checked when recording so that every page is recorded).
 
-            let address = formatAddress($(trElement).find("#gv-field-31-7").text().trim());
-            let applicationNumber = "";
-            let receivedDate = moment.invalid();
-            let description = "";
+                if (ReplayDirectory === undefined && RecordDirectory === undefined && refreshApplicationNumber === undefined && await isCompleteInDatabase(database, storage, developmentApplicationUrl)) {
+                    console.log(`    Skipped: ${developmentApplicationUrl} is already complete in the database.`);
+                    applicationCount++;
+                    continue;
+                }
 
-            for (let trElement of childPage("table.gv-table-view-content tr").get()) {
-                let key = childPage(trElement).find("th").text().toUpperCase().trim();
+                // Stop part way through the page if the request budget is used up (the page is then
+                // parsed again when resumed, skipping the applications already complete).
 
-                if (key === "DA NUMBER")
-                    applicationNumber = childPage(trElement).find("td").text().trim();
-                else if (key === "DATE APPLICATION RECEIVED")
-                    receivedDate = moment(childPage(trElement).find("td").text().trim(), "D/MM/YYYY", true);
-                else if (key === "DEVELOPMENT DETAILS")
-                    description = childPage(trElement).find("td").text().trim().replace(/&apos;/g, "'");
-            }
+                if (RequestCount >= requestLimit || RequestCount >= RequestLimit) {
+                    console.log(`Stopped part way through page ${pageNumber} because the request budget was used up.`);
+                    return false;
+                }
+
+                // Obtain the description for the application (skipping the application if the page
+                // cannot be retrieved, rather than abandoning the entire run).
+
+                let childBody = undefined;
+                try {
+                    childBody = await retrievePage(developmentApplicationUrl, database);
+                } catch (error) {
+                    console.error(`    Skipped: ${developmentApplicationUrl} could not be retrieved: ${error.message}`);
+                    if (!isMissingRecordedPage(developmentApplicationUrl))  // already reported
+                        reportIssue("fetch", `The development application page could not be retrieved: ${error.message}`, null, developmentApplicationUrl);
+                    skippedCount++;
+                    continue;
+                }
+                let childPage = cheerio.load(childBody);
+                if (childPage("table.gv-table-view-content").length === 0)
+                    reportIssue("layout", "The development application page does not contain the expected table.gv-table-view-content element.", null, developmentApplicationUrl);
+
+                let formattedAddress = formatAddress($(trElement).find("#gv-field-31-7").text().trim());
+                let address = formattedAddress.address;
+                let applicationNumber = "";
+                let receivedDate = "";
+                let description = "";
+                let fields = {};
+
+                for (let trElement of childPage("table.gv-table-view-content tr").get()) {
+                    let key = childPage(trElement).find("th").text().toUpperCase().replace(/\s\s+/g, " ").trim();
+                    let value = childPage(trElement).find("td").text().trim().replace(/&apos;/g, "'");
+                    if (key === "")
+                        continue;
+                    fields[key] = value;
 
-            // Ensure that at least an application number and address have been obtained.
-            
-            if (applicationNumber !== "" && applicationNumber !== undefined && address !== "" && address !== undefined) {
-                let informationUrl = InformationUrl.replace(/\{0\}/g, encodeURIComponent(applicationNumber));
-                let developmentApplication = {
-                    applicationNumber: applicationNumber,
-                    address: address,
-                    description: description,
-                    informationUrl: informationUrl,
-                    commentUrl: CommentUrl,
-                    scrapeDate: moment().format("YYYY-MM-DD"),
-                    receivedDate: receivedDate.isValid ? receivedDate.format("YYYY-MM-DD") : ""
+                    if (key === DANumberKey)
+                        applicationNumber = value;
+                    else if (key === ReceivedDateKey)
+                        receivedDate = parseDate(value);
+                    else if (key === DescriptionKey)
+                        description = value;
+                }
+
+                let { details, otherFields } = parseDetails(fields);
+
+                for (let expectedKey of [ DANumberKey, ReceivedDateKey, DescriptionKey ])
+                    if (!fields.hasOwnProperty(expectedKey) && Object.keys(fields).length > 0)
+                        reportIssue("layout", `The development application page does not contain the expected "${expectedKey}" key.`, (applicationNumber === "") ? null : applicationNumber, developmentApplicationUrl);
+
+                // Ignore any other development applications found when searching for a specific
+                // application number (the search also matches partial application numbers).
+
+                if (refreshApplicationNumber !== undefined && applicationNumber.toUpperCase() !== refreshApplicationNumber.toUpperCase())
+                    continue;
+
+                // Ensure that at least an application number and address have been obtained.
+
+                if (applicationNumber === "" || applicationNumber === undefined || address === "" || address === undefined) {
+                    reportIssue("invalid", `The development application was skipped because its ${(applicationNumber === "" || applicationNumber === undefined) ? "application number" : "address"} is empty.`, (applicationNumber === "") ? null : applicationNumber, developmentApplicationUrl);
+                } else {
+                    let informationUrl = InformationUrl.replace(/\{0\}/g, encodeURIComponent(applicationNumber));
+                    let developmentApplication = {
+                        applicationNumber: applicationNumber,
+                        address: address,
+                        description: description,
+                        informationUrl: informationUrl,
+                        commentUrl: CommentUrl,
+                        scrapeDate: moment().format("YYYY-MM-DD"),
+                        receivedDate: receivedDate,
+                        formattedAddress: formattedAddress,
+                        details: details,
+                        otherFields: otherFields
+                    }
+
+                    // Report any problems with the development application (it is still saved, so
+                    // that the problems can be corrected in the database if necessary).
+
+                    for (let problem of validateApplication(developmentApplication))
+                        reportIssue("invalid", problem, applicationNumber, developmentApplicationUrl);
+
+                    await storage.saveApplication(developmentApplication);
+                    if (ReplayDirectory === undefined)
+                        await updateCachedPageApplicationNumber(database, developmentApplicationUrl, applicationNumber);
+                    applicationCount++;
+                    if (RunSummary !== undefined)
+                        RunSummary.savedCount++;
                 }
-                let hasInserted = await insertRow(database, developmentApplication);
-                if (!hasInserted)  // if not inserted because already existed
-                    await updateRow(database, developmentApplication);
             }
+
+            if (RunSummary !== undefined)
+                RunSummary.applicationCount += applicationCount;
+            totalSkippedCount += skippedCount;
+            if (onPageParsed !== undefined)
+                await onPageParsed(pageNumber, applicationCount, skippedCount);
+        } finally {
+            await storage.endBatch();
         }
 
         // If there is no "next page" link then assume this is the last page.
@@ -217,16 +1185,367 @@ async function parse(dateFrom: moment.Moment, dateTo: moment.Moment, database) {
         let hasNextPageLink = ($("ul.page-numbers li a.next").length > 0);
         if (!hasNextPageLink) {
             console.log("Reached the last page of the paged search results.");
-            return;
+            return (totalSkippedCount === 0);
+        }
+    }
+
+    // The remaining pages are not parsed, so the search is incomplete (a backfilled month is then
+    // resumed from the next page on the following run).
+
+    reportIssue("limit", `Stopped because reached ${MaximumPageCount} pages of search results (the remaining pages were not parsed).`, null, getPageUrl(firstPageNumber));
+    return false;
+}
+
+// Backfills older months of development applications (to build up over time a complete picture
+// of all development applications, while avoiding overloading the web server with a lot of
+// requests).  Each month is recorded in the crawl ledger so that the months that have never been
+// crawled (or were crawled the longest time ago) are selected first, and so that a month that was
+// interrupted part way through its pages is resumed from the next page on the following run (or
+// from the same page if interrupted part way through that page or if any development
+// applications on that page could not be retrieved).
+
+async function backfill(database, storage: Storage) {
+    let crawlLedger = await getCrawlLedger(database);
+
+    // Determine the candidate months (excluding the current month which is still incomplete).
+
+    let crawledMonths = [];
+    for (let month = FirstBackfillMonth.clone(); month.isBefore(moment().startOf("month")); month.add(1, "months")) {
+        let key = month.format("YYYY-MM");
+        crawledMonths.push(crawlLedger[key] || {
+            month: key,
+            date_from: month.format("YYYY-MM-DD"),
+            date_to: month.clone().endOf("month").format("YYYY-MM-DD"),
+            status: "pending",
+            last_page_number: 0,
+            application_count: 0,
+            date_started: null,
+            date_completed: null
+        });
+    }
+
+    // Resume partially crawled months first, then months that have never been crawled (oldest
+    // first), then the months that were crawled the longest time ago.
+
+    let getPriority = crawledMonth => (crawledMonth.status === "partial") ? 0 : ((crawledMonth.status === "pending") ? 1 : 2);
+    crawledMonths.sort((crawledMonth1, crawledMonth2) =>
+        (getPriority(crawledMonth1) - getPriority(crawledMonth2)) ||
+        (crawledMonth1.date_completed || "").localeCompare(crawledMonth2.date_completed || "") ||
+        crawledMonth1.month.localeCompare(crawledMonth2.month));
+
+    let requestLimit = RequestCount + RequestBudget;
+    console.log(`Backfilling older months using a budget of ${RequestBudget} requests.`);
+
+    for (let crawledMonth of crawledMonths) {
+        if (RequestCount >= requestLimit || RequestCount >= RequestLimit)
+            break;
+
+        // Restart a month from its first page if it was previously completed.
+
+        if (crawledMonth.status !== "partial") {
+            crawledMonth.status = "partial";
+            crawledMonth.last_page_number = 0;
+            crawledMonth.application_count = 0;
+            crawledMonth.date_started = moment().format("YYYY-MM-DD HH:mm:ss");
+            crawledMonth.date_completed = null;
+        }
+
+        let hasSkippedApplications = false;
+        let isComplete = await parse(
+            moment(crawledMonth.date_from, "YYYY-MM-DD", true),
+            moment(crawledMonth.date_to, "YYYY-MM-DD", true),
+            database,
+            storage,
+            crawledMonth.last_page_number + 1,
+            requestLimit,
+            async (pageNumber, applicationCount, skippedCount) => {
+                // Once a development application has been skipped (because its page could not be
+                // retrieved) the month is resumed from that page on the next run, so that the
+                // development application is attempted again.
+
+                if (skippedCount > 0)
+                    hasSkippedApplications = true;
+                if (!hasSkippedApplications) {
+                    crawledMonth.last_page_number = pageNumber;
+                    crawledMonth.application_count += applicationCount;
+                }
+                await updateCrawlLedger(database, crawledMonth);
+            });
+
+        if (isComplete) {
+            crawledMonth.status = "complete";
+            crawledMonth.date_completed = moment().format("YYYY-MM-DD HH:mm:ss");
+            await updateCrawlLedger(database, crawledMonth);
+            console.log(`Completed the month ${crawledMonth.month} with ${crawledMonth.application_count} development application(s).`);
+        } else {
+            await updateCrawlLedger(database, crawledMonth);  // in case stopped part way through the first page
+            console.log(`Stopped part way through the month ${crawledMonth.month} after page ${crawledMonth.last_page_number}${hasSkippedApplications ? " because development applications were skipped" : ""} (this month will be resumed on the next run).`);
+        }
+
+        await pause(5000 + getRandom(0, 10) * 1000);
+    }
+}
+
+// Lists the development applications that changed in the specified date range.
+
+async function listChanges(database, dateFrom: moment.Moment, dateTo: moment.Moment) {
+    let changes = await getChanges(database, dateFrom, dateTo);
+    console.log(`Found ${changes.length} change(s) to development applications scraped from ${dateFrom.format("YYYY-MM-DD")} to ${dateTo.format("YYYY-MM-DD")}.`);
+
+    let previousApplicationNumber = undefined;
+    for (let change of changes) {
+        if (change.council_reference !== previousApplicationNumber)
+            console.log(`Application "${change.council_reference}":`);
+        console.log(`    ${change.date_scraped}: ${change.field} changed from "${change.old_value}" to "${change.new_value}".`);
+        previousApplicationNumber = change.council_reference;
+    }
+}
+
+// Lists the addresses where the suburb name was not recognised or was only matched by allowing
+// for a spelling error (to assist in adding suburb names to suburbnames.txt).
+
+async function reportAddresses(database) {
+    let rows = await getUnresolvedAddresses(database);
+    console.log(`Found ${rows.length} address(es) with an unresolved or fuzzy-matched suburb name.`);
+    for (let row of rows) {
+        let match = (row.address_match === "fuzzy") ? `fuzzy (edit distance ${row.address_match_distance})` : row.address_match;
+        let hundred = (row.address_hundred === null) ? "" : ` [hundred ${row.address_hundred}]`;
+        console.log(`    ${row.council_reference}: ${match}: "${row.address_original}" formatted as "${row.address}"${hundred}`);
+    }
+}
+
+// Formats a value as a CSV field (quoting the value if it contains a comma, quote or line break).
+
+function formatCsvField(value) {
+    let text = (value === undefined || value === null) ? "" : value.toString();
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Converts a row of the [data] table to a PlanningAlerts application (with the approximate
+// location of the suburb, if the suburb was recognised).
+
+function toPlanningAlertsApplication(row) {
+    let centroid = (row.address_suburb === null || row.address_suburb === undefined) ? undefined : SuburbCentroids[row.address_suburb];
+    return {
+        council_reference: row.council_reference,
+        address: row.address,
+        description: row.description,
+        info_url: row.info_url,
+        comment_url: row.comment_url,
+        lat: (centroid === undefined) ? null : centroid.latitude,
+        lng: (centroid === undefined) ? null : centroid.longitude,
+        date_scraped: row.date_scraped,
+        date_received: (row.date_received === "") ? null : row.date_received,
+        on_notice_from: row.on_notice_from,
+        on_notice_to: row.on_notice_to,
+        authority: { full_name: AuthorityName }
+    };
+}
+
+// Exports the development applications received in the specified date range (or all development
+// applications if no date range is specified) to the specified directory as CSV, as a JSON feed
+// in the same format as the PlanningAlerts API and as GeoJSON.  Each point in the GeoJSON is the
+// approximate centre of the suburb (so development applications whose suburb was not recognised
+// are omitted from the GeoJSON).
+
+async function exportApplications(database, directory: string, dateFrom: moment.Moment, dateTo: moment.Moment) {
+    let rows = await getRows(database, dateFrom, dateTo);
+    if (!fs.existsSync(directory))
+        fs.mkdirSync(directory);
+
+    // Export all columns of the [data] table as CSV.
+
+    let columnNames = (await allSql(database, "pragma table_info([data])")).map(column => column.name);
+    let lines = [ columnNames.map(formatCsvField).join(",") ];
+    for (let row of rows)
+        lines.push(columnNames.map(columnName => formatCsvField(row[columnName])).join(","));
+    fs.writeFileSync(path.join(directory, "applications.csv"), lines.join("\r\n") + "\r\n");
+
+    // Export a PlanningAlerts JSON feed.
+
+    let applications = rows.map(toPlanningAlertsApplication);
+    fs.writeFileSync(path.join(directory, "applications.json"), JSON.stringify(applications.map(application => ({ application: application })), null, 4));
+
+    // Export GeoJSON (with coordinates in longitude, latitude order).
+
+    let features = applications.filter(application => application.lat !== null).map(application => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [ application.lng, application.lat ] },
+        properties: Object.assign({}, application, { authority: AuthorityName, location_precision: "suburb" })
+    }));
+    fs.writeFileSync(path.join(directory, "applications.geojson"), JSON.stringify({ type: "FeatureCollection", features: features }, null, 4));
+
+    console.log(`Exported ${rows.length} development application(s) to "${directory}" (${features.length} with an approximate location).`);
+}
+
+// Parses a date from the command line (in the format YYYY-MM-DD).
+
+function parseCommandLineDate(text: string) {
+    let date = moment(text, "YYYY-MM-DD", true);
+    if (!date.isValid())
+        throw new Error(`The date must be in the format YYYY-MM-DD: ${text}`);
+    return date;
+}
+
+// Parses a non-negative integer from the command line or an environment variable (such as a
+// request budget).
+
+function parseCount(text: string, name: string) {
+    let count = Number(text);
+    if (text.trim() === "" || !Number.isInteger(count) || count < 0)
+        throw new Error(`The ${name} must be a non-negative integer: ${text}`);
+    return count;
+}
+
+// The commands that can be specified on the command line (and whether each command requires an
+// argument).
+
+const Commands = {
+    scrape: false,       // scrape the last month and backfill older months, or scrape --from/--to
+    application: true,   // scrape the development application with the specified DA number again
+    replay: true,        // parse the pages recorded in the specified directory
+    changes: false,      // list the development applications that changed between --from/--to
+    addresses: false,    // list the addresses with an unresolved or fuzzy-matched suburb name
+    export: true         // export the development applications to the specified directory
+};
+
+// Parses the command line, which consists of an optional command (see the Commands constant,
+// defaulting to "scrape") followed by options.  The "--from <date>" and "--to <date>" options
+// specify a date range (in the format YYYY-MM-DD).  The "--db <path>" option specifies the
+// database (instead of data.sqlite).  The "--storage <sqlite|ndjson|sql>" option specifies where
+// development applications are saved: the sqlite database (the default), a newline-delimited
+// JSON file or a PostgreSQL-compatible SQL file (at the path given by the "--output <path>"
+// option, defaulting to data.ndjson or data.sql).  The "--dry-run" option shows what would be
+// saved without modifying the database.  The "--record <directory>" option saves every retrieved
+// page to the specified directory.  The "--budget <count>" option sets the maximum number of
+// requests made when backfilling.  The "--request-limit <count>" option sets the maximum number
+// of requests made in this run.  The "--request-delay <milliseconds>" option sets the minimum
+// delay between requests.  The "--retry-delay <milliseconds>" option sets the delay before the
+// first retry of a failed request.  The "--site-url <url>" option retrieves pages from a
+// different web site (such as a local HTTP server used for testing) instead of the council web
+// site.
+
+function parseCommandLine(args: string[]) {
+    if (process.env.MORPH_REQUEST_BUDGET !== undefined)
+        RequestBudget = parseCount(process.env.MORPH_REQUEST_BUDGET, "request budget");
+    if (process.env.MORPH_REQUEST_LIMIT !== undefined)
+        RequestLimit = parseCount(process.env.MORPH_REQUEST_LIMIT, "request limit");
+    if (process.env.MORPH_REQUEST_DELAY !== undefined)
+        RequestDelay = parseCount(process.env.MORPH_REQUEST_DELAY, "request delay");
+    if (process.env.MORPH_RETRY_DELAY !== undefined)
+        RetryDelay = parseCount(process.env.MORPH_RETRY_DELAY, "retry delay");
+    if (process.env.MORPH_SITE_URL !== undefined)
+        SiteUrl = process.env.MORPH_SITE_URL.replace(/\/+$/, "");
+
+    let index = 0;
+    if (args.length > 0 && !args[0].startsWith("--")) {
+        Command = args[index++];
+        if (!Commands.hasOwnProperty(Command))
+            throw new Error(`Unrecognised command: ${Command} (the commands are ${Object.keys(Commands).join(", ")}).`);
+        if (Commands[Command]) {
+            if (index >= args.length || args[index].startsWith("--"))
+                throw new Error(`The ${Command} command requires an argument.`);
+            CommandArgument = args[index++];
         }
     }
 
-    console.log(`Stopped because reached ${pageNumber} pages.`);
+    for (; index < args.length; index++) {
+        if (args[index] === "--from" && index + 1 < args.length)
+            DateFrom = parseCommandLineDate(args[++index]);
+        else if (args[index] === "--to" && index + 1 < args.length)
+            DateTo = parseCommandLineDate(args[++index]);
+        else if (args[index] === "--db" && index + 1 < args.length)
+            DatabasePath = args[++index];
+        else if (args[index] === "--storage" && index + 1 < args.length)
+            StorageType = args[++index];
+        else if (args[index] === "--output" && index + 1 < args.length)
+            OutputPath = args[++index];
+        else if (args[index] === "--dry-run")
+            IsDryRun = true;
+        else if (args[index] === "--record" && index + 1 < args.length)
+            RecordDirectory = args[++index];
+        else if (args[index] === "--budget" && index + 1 < args.length)
+            RequestBudget = parseCount(args[++index], "request budget");
+        else if (args[index] === "--request-limit" && index + 1 < args.length)
+            RequestLimit = parseCount(args[++index], "request limit");
+        else if (args[index] === "--request-delay" && index + 1 < args.length)
+            RequestDelay = parseCount(args[++index], "request delay");
+        else if (args[index] === "--retry-delay" && index + 1 < args.length)
+            RetryDelay = parseCount(args[++index], "retry delay");
+        else if (args[index] === "--site-url" && index + 1 < args.length)
+            SiteUrl = args[++index].replace(/\/+$/, "");
+        else
+            throw new Error(`Unrecognised command line option: ${args[index]}`);
+    }
+
+    if (Command === "scrape" && (DateFrom === undefined) !== (DateTo === undefined))
+        throw new Error("The --from and --to options must be used together.");
+    if (Command === "changes" && DateFrom === undefined)
+        throw new Error("The changes command requires the --from option.");
+    if ([ "sqlite", "ndjson", "sql" ].indexOf(StorageType) < 0)
+        throw new Error(`Unrecognised storage: ${StorageType} (the storage must be sqlite, ndjson or sql).`);
+    if (OutputPath !== undefined && StorageType === "sqlite")
+        throw new Error("The --output option requires the --storage ndjson or --storage sql option.");
+    if (DateFrom !== undefined && DateTo !== undefined && DateFrom.isAfter(DateTo))
+        throw new Error("The --from date must not be after the --to date.");
+
+    if (RecordDirectory !== undefined) {
+        if (Command !== "scrape" && Command !== "application")
+            throw new Error(`The --record option cannot be used with the ${Command} command.`);
+        if (!fs.existsSync(RecordDirectory))
+            fs.mkdirSync(RecordDirectory);
+        RecordedPages = readRecordedPages(RecordDirectory);
+    } else if (Command === "replay") {
+        ReplayDirectory = CommandArgument;
+        if (!fs.existsSync(path.join(ReplayDirectory, RecordedPagesFileName)))
+            throw new Error(`No recorded pages were found in "${ReplayDirectory}".`);
+        RecordedPages = readRecordedPages(ReplayDirectory);
+    }
+}
+
+// Runs the command specified on the command line.
+
+async function runCommand(database, storage: Storage) {
+    if (Command === "changes") {
+        await listChanges(database, DateFrom, (DateTo === undefined) ? moment() : DateTo);
+    } else if (Command === "addresses") {
+        await reportAddresses(database);
+    } else if (Command === "export") {
+        await exportApplications(database, CommandArgument, DateFrom, DateTo);
+    } else if (Command === "application") {
+        await refresh(CommandArgument, database, storage);
+    } else if (Command === "replay") {
+        // Parse the same searches that were previously recorded.
+
+        console.log(`Replaying the pages recorded in "${ReplayDirectory}".`);
+        for (let search of RecordedPages.searches) {
+            if (search.applicationNumber !== undefined)
+                await refresh(search.applicationNumber, database, storage);
+            else
+                await parse(moment(search.dateFrom, "YYYY-MM-DD", true), moment(search.dateTo, "YYYY-MM-DD", true), database, storage);
+        }
+    } else if (DateFrom !== undefined) {
+        // Obtain the paged results of a search for the specified date range.
+
+        await parse(DateFrom, DateTo, database, storage);
+    } else {
+        // Obtain the paged results of a search for the last month.
+
+        await parse(moment().subtract(1, <moment.unitOfTime.DurationConstructor> "months"), moment(), database, storage);
+        await pause(5000 + getRandom(0, 10) * 1000);
+
+        // Obtain the paged results of searches for older months that have not been crawled
+        // recently.
+
+        await backfill(database, storage);
+    }
 }
 
 // Parses the development applications.
 
 async function main() {
+    parseCommandLine(process.argv.slice(2));
+
     // Read the suburb names.
 
     SuburbNames = {};
@@ -241,22 +1560,63 @@ async function main() {
     for (let hundredName of fs.readFileSync("hundrednames.txt").toString().replace(/\r/g, "").trim().split("\n"))
         HundredNames.push(hundredName.toUpperCase().trim());
 
+    // Read the approximate latitude and longitude of the centre of each suburb (used when exporting
+    // GeoJSON).
+
+    SuburbCentroids = {};
+    for (let line of fs.readFileSync("suburbcentroids.txt").toString().replace(/\r/g, "").trim().split("\n")) {
+        let centroidTokens = line.split(",");
+        SuburbCentroids[centroidTokens[0].toUpperCase().trim()] = { latitude: Number(centroidTokens[1]), longitude: Number(centroidTokens[2]) };
+    }
+
+    // Warn about any suburb that has no centroid (so that its development applications are not
+    // silently omitted from the GeoJSON).  The suburb is the canonical name from suburbnames.txt
+    // without its state and post code (as in the "address_suburb" column).
+
+    for (let suburbName of new Set(Object.values(SuburbNames) as string[])) {
+        let suburbMatch = /^(.*) ([A-Z]+) ([0-9]{4})$/.exec(suburbName);
+        let suburb = (suburbMatch === null) ? suburbName : suburbMatch[1];
+        if (SuburbCentroids[suburb] === undefined)
+            console.log(`Warning: the suburb "${suburb}" has no centroid in suburbcentroids.txt.`);
+    }
+
     // Ensure that the database exists.
 
-    let database = await initializeDatabase();
+    let database = await initializeDatabase(DatabasePath);
+    let storage = createStorage(database);
+    try {
+        // Summarise the runs that scrape development applications (including validation issues).
+
+        if (Command === "scrape" || Command === "application" || Command === "replay")
+            RunSummary = { command: process.argv.slice(2).join(" ") || "scrape", dateStarted: moment().format("YYYY-MM-DD HH:mm:ss"), dateCompleted: null, pageCount: 0, applicationCount: 0, savedCount: 0, invalidCount: 0, layoutIssueCount: 0, issues: [] };
 
-    // Obtain the paged results of a search for the last month.
+        await runCommand(database, storage);
 
-    await parse(moment().subtract(1, <moment.unitOfTime.DurationConstructor> "months"), moment(), database);
-    await sleep(5000 + getRandom(0, 10) * 1000);
+        if (RunSummary !== undefined) {
+            RunSummary.dateCompleted = moment().format("YYYY-MM-DD HH:mm:ss");
+            await insertRunSummary(database, RunSummary);
+            console.log(`Parsed ${RunSummary.pageCount} page(s) of search results containing ${RunSummary.applicationCount} development application(s); saved ${RunSummary.savedCount}, with ${RunSummary.invalidCount} validation issue(s) and ${RunSummary.layoutIssueCount} layout issue(s) using ${RequestCount} request(s).`);
 
-    // Obtain the paged results of a search for a randomly selected month (to build up over time
-    // a complete picture of all development applications, while avoiding overloading the web
-    // server with a lot of requests).
+            // Exit with a non-zero status if the layout of the council web site appears to have
+            // changed (so that the change is noticed).
 
-    let monthCount = moment().year() * 12 + moment().month() - (1997 * 12 + 4);  // first recorded development application is 16th April 1997
-    let randomMonth = getRandom(1, monthCount + 1)
-    await parse(moment().subtract(randomMonth + 1, <moment.unitOfTime.DurationConstructor> "months"), moment().subtract(randomMonth, <moment.unitOfTime.DurationConstructor> "months"), database);
+            if (RunSummary.layoutIssueCount > 0) {
+                console.error("The layout of the council web site appears to have changed.");
+                process.exitCode = 2;
+            }
+
+            // Similarly exit with a non-zero status if any of the pages being replayed were not
+            // recorded (so that an incomplete replay is not mistaken for a successful one).
+
+            if (RunSummary.issues.some(issue => issue.category === "missing")) {
+                console.error("Some of the pages being replayed were not recorded.");
+                process.exitCode = 3;
+            }
+        }
+    } finally {
+        await storage.close();
+        await closeDatabase(database);
+    }
 }
 
-main().then(() => console.log("Complete.")).catch(error => console.error(error));
+main().then(() => console.log("Complete.")).catch(error => { console.error(error); process.exitCode = 1; });
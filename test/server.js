@@ -0,0 +1,59 @@
+// A stub of the council web site for testing.  Pages are served from the recorded pages in the
+// test/fixtures/replay directory (with links to the council web site rewritten to the stub), and
+// each test can override the response for a path (for example, to return an HTTP 503 status).
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const FixtureDirectory = path.join(__dirname, "fixtures", "replay");
+const CouncilSiteUrl = "https://yorke.sa.gov.au";
+
+// Starts the stub on a free port.  The optional handler is called for each request with the
+// request, the response and the number of times the path has been requested (including this
+// request), and returns true if it has sent the response itself.  Resolves to an object with the
+// site URL of the stub, the requests received and a function that stops the stub.
+
+function startServer(handler) {
+    let recordedPages = JSON.parse(fs.readFileSync(path.join(FixtureDirectory, "pages.json")).toString()).pages;
+    let requests = [];
+    let hits = {};
+
+    let server = http.createServer((request, response) => {
+        let pathName = request.url.replace(/\?.*$/, "");
+        hits[pathName] = (hits[pathName] || 0) + 1;
+        requests.push({ url: request.url, path: pathName, headers: request.headers });
+
+        if (handler !== undefined && handler(request, response, hits[pathName]))
+            return;
+
+        // Only the first page of search results is recorded (for any date range).
+
+        let fileName = recordedPages[request.url];
+        if (fileName === undefined && request.url.includes("pagenum=1&"))
+            fileName = recordedPages[Object.keys(recordedPages).find(key => key.includes("pagenum=1&"))];
+
+        if (fileName === undefined) {
+            response.statusCode = 404;
+            response.end("Not found");
+            return;
+        }
+
+        let body = fs.readFileSync(path.join(FixtureDirectory, fileName)).toString();
+        response.setHeader("Content-Type", "text/html; charset=UTF-8");
+        response.end(body.split(CouncilSiteUrl).join(`http://127.0.0.1:${server.address().port}`));
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on("error", reject);
+        server.listen(0, "127.0.0.1", () => resolve({
+            siteUrl: `http://127.0.0.1:${server.address().port}`,
+            requests: requests,
+            close: () => new Promise(resolve => server.close(resolve))
+        }));
+    });
+}
+
+module.exports = { startServer, FixtureDirectory };
@@ -0,0 +1,203 @@
+// Regression tests for the scraper.  Each test runs the compiled scraper (scraper.js) against a
+// stub of the council web site (see server.js) or against the recorded pages in the
+// test/fixtures/replay directory, using a temporary database.  Run using "npm test".
+
+"use strict";
+
+const assert = require("assert");
+const childProcess = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const { startServer, FixtureDirectory } = require("./server");
+
+const RootDirectory = path.join(__dirname, "..");
+const EntryPath = "/development/development-information/development-register/entry/";
+const SearchOptions = [ "scrape", "--from", "2020-02-01", "--to", "2020-02-29", "--request-delay", "0", "--retry-delay", "10" ];
+
+// Runs the scraper with the specified arguments, resolving to its exit code and output.
+
+function runScraper(args) {
+    return new Promise(resolve => {
+        childProcess.execFile(process.execPath, [ path.join(RootDirectory, "scraper.js") ].concat(args), { cwd: RootDirectory, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            resolve({ code: (error && error.code !== undefined) ? error.code : 0, stdout: stdout, stderr: stderr });
+        });
+    });
+}
+
+// Gets all of the rows returned by an SQL query against the specified database.
+
+function queryDatabase(databasePath, sql) {
+    return new Promise((resolve, reject) => {
+        let database = new sqlite3.Database(databasePath, sqlite3.OPEN_READONLY, error => {
+            if (error)
+                return reject(error);
+            database.all(sql, (error, rows) => database.close(() => error ? reject(error) : resolve(rows)));
+        });
+    });
+}
+
+// Counts the requests received by the stub for the development application page with the
+// specified entry number.
+
+function countEntryRequests(server, entryNumber) {
+    return server.requests.filter(request => request.path === `${EntryPath}${entryNumber}/`).length;
+}
+
+const Tests = [];
+
+function test(name, run) {
+    Tests.push({ name, run });
+}
+
+test("retries a request that fails with an HTTP 5xx status, doubling the delay each time", async (directory, server) => {
+    server.handler = (request, response, hitCount) => {
+        if (request.url !== `${EntryPath}1001/` || hitCount > 2)
+            return false;
+        response.statusCode = 503;
+        response.end("Service unavailable");
+        return true;
+    };
+    let result = await runScraper(SearchOptions.concat([ "--db", path.join(directory, "data.sqlite"), "--site-url", server.siteUrl ]));
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(countEntryRequests(server, 1001), 3);
+    assert.ok(/Attempt 1 of 5 failed .* retrying in 0\.01 seconds/.test(result.stdout), result.stdout);
+    assert.ok(/Attempt 2 of 5 failed .* retrying in 0\.02 seconds/.test(result.stdout), result.stdout);
+
+    let rows = await queryDatabase(path.join(directory, "data.sqlite"), "select [council_reference] from [data] order by [council_reference]");
+    assert.deepStrictEqual(rows.map(row => row.council_reference), [ "545/001/20", "545/002/20" ]);
+});
+
+test("gives up immediately on an HTTP 4xx status and after five attempts on an HTTP 5xx status", async (directory, server) => {
+    server.handler = (request, response) => {
+        if (!request.url.startsWith(EntryPath))
+            return false;
+        response.statusCode = request.url.includes("/1001/") ? 404 : 503;
+        response.end("Failed");
+        return true;
+    };
+    let result = await runScraper(SearchOptions.concat([ "--db", path.join(directory, "data.sqlite"), "--site-url", server.siteUrl ]));
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(countEntryRequests(server, 1001), 1);
+    assert.strictEqual(countEntryRequests(server, 1002), 5);
+
+    let issues = await queryDatabase(path.join(directory, "data.sqlite"), "select [category], [url] from [run_issues] order by [url]");
+    assert.deepStrictEqual(issues.map(issue => issue.category), [ "fetch", "fetch" ]);
+    assert.strictEqual((await queryDatabase(path.join(directory, "data.sqlite"), "select * from [data]")).length, 0);
+});
+
+test("revalidates a cached development application page using its ETag", async (directory, server) => {
+    server.handler = (request, response) => {
+        if (!request.url.startsWith(EntryPath))
+            return false;
+        if (request.headers["if-none-match"] === "\"v1\"") {
+            response.statusCode = 304;
+            response.end();
+            return true;
+        }
+        response.setHeader("ETag", "\"v1\"");
+        return false;
+    };
+    let args = SearchOptions.concat([ "--db", path.join(directory, "data.sqlite"), "--site-url", server.siteUrl ]);
+    assert.strictEqual((await runScraper(args)).code, 0);
+    let result = await runScraper(args);
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    // The first application has a decision so it is not requested again.  The second is
+    // revalidated and parsed from the cached page.
+
+    assert.strictEqual(countEntryRequests(server, 1001), 1);
+    let requests = server.requests.filter(request => request.path === `${EntryPath}1002/`);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[1].headers["if-none-match"], "\"v1\"");
+    assert.ok(result.stdout.includes("Saved: application \"545/002/20\""), result.stdout);
+});
+
+test("stops once the request limit is reached", async (directory, server) => {
+    let result = await runScraper(SearchOptions.concat([ "--db", path.join(directory, "data.sqlite"), "--site-url", server.siteUrl, "--request-limit", "2" ]));
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(server.requests.length, 2);
+    assert.ok(result.stdout.includes("Stopped part way through page 1 because the request budget was used up."), result.stdout);
+});
+
+test("parses the recorded pages when replaying", async directory => {
+    let result = await runScraper([ "replay", FixtureDirectory, "--db", path.join(directory, "data.sqlite") ]);
+    assert.strictEqual(result.code, 0, result.stdout + result.stderr);
+
+    let rows = await queryDatabase(path.join(directory, "data.sqlite"), "select * from [data] order by [council_reference]");
+    assert.strictEqual(rows.length, 2);
+    assert.strictEqual(rows[0].council_reference, "545/001/20");
+    assert.strictEqual(rows[0].address, "12 Main Street, MINLATON SA 5575");
+    assert.strictEqual(rows[0].description, "Dwelling and swimming pool");
+    assert.strictEqual(rows[0].date_received, "2020-02-10");
+    assert.strictEqual(rows[0].decision, "Approved");
+    assert.strictEqual(rows[0].decision_date, "2020-02-24");
+    assert.strictEqual(rows[0].applicant, "J Smith");
+    assert.strictEqual(rows[1].council_reference, "545/002/20");
+    assert.strictEqual(rows[1].date_received, "2020-02-03");
+    assert.strictEqual(rows[1].address_hundred, "CLINTON");
+    assert.strictEqual(rows[1].address_section, "123");
+
+    let fields = await queryDatabase(path.join(directory, "data.sqlite"), "select [key], [value] from [data_fields] where [council_reference] = '545/002/20'");
+    assert.deepStrictEqual(fields, [ { key: "REFERRAL AGENCY", value: "None" } ]);
+    assert.strictEqual((await queryDatabase(path.join(directory, "data.sqlite"), "select * from [run_issues]")).length, 0);
+});
+
+test("replays a recorded run (including a page that could not be retrieved)", async (directory, server) => {
+    server.handler = (request, response) => {
+        if (request.url !== `${EntryPath}1002/`)
+            return false;
+        response.statusCode = 404;
+        response.end("Not found");
+        return true;
+    };
+    let recordDirectory = path.join(directory, "recorded");
+    let result = await runScraper(SearchOptions.concat([ "--db", path.join(directory, "data.sqlite"), "--site-url", server.siteUrl, "--record", recordDirectory ]));
+    assert.strictEqual(result.code, 0, result.stderr);
+
+    result = await runScraper([ "replay", recordDirectory, "--db", path.join(directory, "replayed.sqlite") ]);
+    assert.strictEqual(result.code, 0, result.stdout + result.stderr);
+    let rows = await queryDatabase(path.join(directory, "replayed.sqlite"), "select [council_reference] from [data]");
+    assert.deepStrictEqual(rows.map(row => row.council_reference), [ "545/001/20" ]);
+    let issues = await queryDatabase(path.join(directory, "replayed.sqlite"), "select [category] from [run_issues]");
+    assert.deepStrictEqual(issues.map(issue => issue.category), [ "fetch" ]);
+});
+
+// Runs each test in turn with a new temporary directory and a new stub of the council web site.
+
+async function main() {
+    let failedCount = 0;
+    for (let index = 0; index < Tests.length; index++) {
+        let directory = fs.mkdtempSync(path.join(os.tmpdir(), "scraper-test-"));
+        let server = undefined;
+        try {
+            server = await startServer((request, response, hitCount) => (server.handler !== undefined) && server.handler(request, response, hitCount));
+            await Tests[index].run(directory, server);
+            console.log(`ok ${index + 1} - ${Tests[index].name}`);
+        } catch (error) {
+            failedCount++;
+            console.log(`not ok ${index + 1} - ${Tests[index].name}`);
+            console.log(error.stack.replace(/^/gm, "    "));
+        } finally {
+            if (server !== undefined)
+                await server.close();
+            for (let fileName of fs.readdirSync(directory)) {
+                let filePath = path.join(directory, fileName);
+                if (fs.statSync(filePath).isDirectory()) {
+                    for (let recordedFileName of fs.readdirSync(filePath))
+                        fs.unlinkSync(path.join(filePath, recordedFileName));
+                    fs.rmdirSync(filePath);
+                } else
+                    fs.unlinkSync(filePath);
+            }
+            fs.rmdirSync(directory);
+        }
+    }
+
+    console.log(`${Tests.length - failedCount} of ${Tests.length} test(s) passed.`);
+    if (failedCount > 0)
+        process.exitCode = 1;
+}
+
+main();